@@ -0,0 +1,177 @@
+/*
+ * Sign-in and workspace selection shared by the budget, item and vendor pages.
+ *
+ * Every page calls `workspaceAuth.requireWorkspace(client)` before loading
+ * data. Signed-out visitors are sent to login.html; signed-in users get the
+ * active workspace, which all queries are scoped to. Exposed as
+ * `window.workspaceAuth`.
+ */
+
+(() => {
+  const ACTIVE_WORKSPACE_KEY = 'weddingBudget.workspaceId';
+  const WORKSPACES_CACHE_KEY = 'weddingBudget.workspaces';
+
+  // Member roles, most to least privileged (enforced by the RLS policies)
+  const ROLE_LABELS = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Viewer'
+  };
+
+  /**
+   * Send the visitor to the sign-in page, returning here afterwards
+   */
+  function redirectToLogin() {
+    const next = encodeURIComponent(window.location.pathname.split('/').pop() + window.location.search);
+    window.location.href = `login.html?next=${next}`;
+  }
+
+  /**
+   * Fetch the workspaces the signed-in user belongs to, oldest first, with
+   * the user's role in each
+   */
+  async function fetchWorkspaces(client, userId) {
+    try {
+      const { data, error } = await client
+        .from('workspace_members')
+        .select('workspace_id, role, workspaces(id, name)')
+        .eq('user_id', userId)
+        .order('created_at');
+
+      if (error) {
+        console.error('Error fetching workspaces:', error);
+        return null;
+      }
+
+      return (data || [])
+        .filter(row => row.workspaces)
+        .map(row => ({ id: row.workspaces.id, name: row.workspaces.name, role: row.role }));
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Get the signed-in user and active workspace, redirecting to the sign-in
+   * page when there is no session or no workspace yet. Resolves to
+   * { user, workspace, workspaces } or null when redirecting.
+   */
+  async function requireWorkspace(client) {
+    const { data: { session } } = await client.auth.getSession();
+    if (!session) {
+      redirectToLogin();
+      return null;
+    }
+
+    // Offline: fall back to the workspace list from the last visit
+    let workspaces = navigator.onLine ? await fetchWorkspaces(client, session.user.id) : null;
+    if (workspaces) {
+      localStorage.setItem(WORKSPACES_CACHE_KEY, JSON.stringify(workspaces));
+    } else {
+      workspaces = JSON.parse(localStorage.getItem(WORKSPACES_CACHE_KEY) || '[]');
+    }
+
+    if (workspaces.length === 0) {
+      redirectToLogin();
+      return null;
+    }
+
+    const storedId = parseInt(localStorage.getItem(ACTIVE_WORKSPACE_KEY), 10);
+    const workspace = workspaces.find(w => w.id === storedId) || workspaces[0];
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspace.id);
+
+    return { user: session.user, workspace, workspaces };
+  }
+
+  /**
+   * Make a workspace the active one for every page
+   */
+  function setActiveWorkspace(workspaceId) {
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, workspaceId);
+  }
+
+  /**
+   * Whether a role can add and edit rows (owners and editors)
+   */
+  function canEdit(role) {
+    return role === 'owner' || role === 'editor';
+  }
+
+  /**
+   * Whether a role can delete rows, use the trash and manage members (owners only)
+   */
+  function canDelete(role) {
+    return role === 'owner';
+  }
+
+  /**
+   * Fill the header account bar with the workspace switcher, the signed-in
+   * email and a sign-out button
+   */
+  function renderAccountBar(client, context) {
+    const bar = document.getElementById('accountBar');
+    if (!bar) return;
+    bar.innerHTML = '';
+
+    if (context.workspaces.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'workspace-select';
+      select.setAttribute('aria-label', 'Workspace');
+      context.workspaces.forEach(workspace => {
+        const option = document.createElement('option');
+        option.value = workspace.id;
+        option.textContent = workspace.name;
+        select.appendChild(option);
+      });
+      select.value = context.workspace.id;
+      select.addEventListener('change', () => {
+        setActiveWorkspace(select.value);
+        // The item page belongs to one workspace; go back to the list
+        window.location.href = window.location.pathname.endsWith('item.html') ? 'index.html' : window.location.href;
+      });
+      bar.appendChild(select);
+    } else {
+      const name = document.createElement('span');
+      name.className = 'workspace-name';
+      name.textContent = context.workspace.name;
+      bar.appendChild(name);
+    }
+
+    const email = document.createElement('span');
+    email.className = 'account-email';
+    email.textContent = `${context.user.email} (${ROLE_LABELS[context.workspace.role] || context.workspace.role})`;
+    bar.appendChild(email);
+
+    const signOutBtn = document.createElement('button');
+    signOutBtn.type = 'button';
+    signOutBtn.className = 'btn-secondary btn-small';
+    signOutBtn.textContent = 'Sign Out';
+    signOutBtn.addEventListener('click', async () => {
+      // Queued offline writes belong to this account; don't leave them for the next one
+      const offlineStore = window.offlineStore;
+      const pending = offlineStore ? offlineStore.getOutbox().length : 0;
+      if (pending > 0 && !confirm(`${pending} offline change${pending === 1 ? ' has' : 's have'} not synced yet and will be lost. Sign out anyway?`)) {
+        return;
+      }
+
+      await client.auth.signOut();
+      localStorage.removeItem(WORKSPACES_CACHE_KEY);
+      if (offlineStore) {
+        offlineStore.clearUserData();
+      }
+      window.location.href = 'login.html';
+    });
+    bar.appendChild(signOutBtn);
+  }
+
+  window.workspaceAuth = {
+    ROLE_LABELS,
+    requireWorkspace,
+    fetchWorkspaces,
+    setActiveWorkspace,
+    canEdit,
+    canDelete,
+    renderAccountBar
+  };
+})();
@@ -0,0 +1,288 @@
+/*
+ * Small SVG charts for the budget list page.
+ *
+ * Draws donut and line charts straight into a container element, so the
+ * dashboard needs no charting library or CDN. Callers pass plain data and
+ * re-render whenever it changes. Exposed as `window.budgetCharts`.
+ */
+
+(() => {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Segment colors, in order (taken from the stylesheet's palette)
+  const PALETTE = [
+    '#6A8FA1', '#C16A47', '#7BA882', '#D4A574', '#3E5C78',
+    '#C16A6A', '#9B8AA6', '#8FB3A9', '#B5946A', '#7A8B99'
+  ];
+
+  // Donut geometry (viewBox units)
+  const DONUT_SIZE = 120;
+  const DONUT_RADIUS = 45;
+  const DONUT_STROKE = 18;
+
+  // Line chart geometry (viewBox units)
+  const LINE_WIDTH = 320;
+  const LINE_HEIGHT = 160;
+  const LINE_PADDING = { top: 12, right: 12, bottom: 24, left: 12 };
+
+  /**
+   * Create an SVG element with attributes
+   */
+  function svgElement(name, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => el.setAttribute(key, value));
+    return el;
+  }
+
+  /**
+   * Add a hover tooltip to an SVG element
+   */
+  function addTitle(el, text) {
+    const title = svgElement('title');
+    title.textContent = text;
+    el.appendChild(title);
+  }
+
+  /**
+   * Show a placeholder message instead of a chart
+   */
+  function renderEmpty(container, message) {
+    container.innerHTML = '';
+    const p = document.createElement('p');
+    p.className = 'chart-empty';
+    p.textContent = message;
+    container.appendChild(p);
+  }
+
+  /**
+   * Default number formatting: "$1,234"
+   */
+  function defaultFormat(value) {
+    return `$${Math.round(value).toLocaleString('en-US')}`;
+  }
+
+  /**
+   * Keep the largest segments and fold the rest into "Other" so every
+   * segment gets its own palette color
+   */
+  function limitSegments(segments) {
+    const sorted = [...segments].sort((a, b) => b.value - a.value);
+    if (sorted.length <= PALETTE.length) return sorted;
+
+    const kept = sorted.slice(0, PALETTE.length - 1);
+    const otherValue = sorted.slice(PALETTE.length - 1).reduce((sum, segment) => sum + segment.value, 0);
+    return [...kept, { label: 'Other', value: otherValue }];
+  }
+
+  /**
+   * Draw a donut chart with a legend. Segments are { label, value, color? };
+   * options are { emptyMessage, centerLabel, formatValue, keepOrder }.
+   */
+  function renderDonut(container, segments, options = {}) {
+    const formatValue = options.formatValue || defaultFormat;
+    const positive = segments.filter(segment => segment.value > 0);
+    const shown = options.keepOrder ? positive : limitSegments(positive);
+    const total = shown.reduce((sum, segment) => sum + segment.value, 0);
+
+    if (total <= 0) {
+      renderEmpty(container, options.emptyMessage || 'Nothing to show yet.');
+      return;
+    }
+
+    container.innerHTML = '';
+    const colors = shown.map((segment, index) => segment.color || PALETTE[index % PALETTE.length]);
+    const center = DONUT_SIZE / 2;
+    const circumference = 2 * Math.PI * DONUT_RADIUS;
+    const svg = svgElement('svg', {
+      viewBox: `0 0 ${DONUT_SIZE} ${DONUT_SIZE}`,
+      class: 'chart-donut',
+      role: 'img',
+      'aria-label': shown
+        .map(segment => `${segment.label}: ${formatValue(segment.value)}`)
+        .join(', ')
+    });
+
+    svg.appendChild(svgElement('circle', {
+      cx: center,
+      cy: center,
+      r: DONUT_RADIUS,
+      fill: 'none',
+      class: 'chart-track',
+      'stroke-width': DONUT_STROKE
+    }));
+
+    // Each segment is a dashed circle stroke, rotated to start at 12 o'clock
+    let offset = 0;
+    shown.forEach((segment, index) => {
+      const length = (segment.value / total) * circumference;
+      const arc = svgElement('circle', {
+        cx: center,
+        cy: center,
+        r: DONUT_RADIUS,
+        fill: 'none',
+        stroke: colors[index],
+        'stroke-width': DONUT_STROKE,
+        'stroke-dasharray': `${length} ${circumference - length}`,
+        'stroke-dashoffset': -offset,
+        transform: `rotate(-90 ${center} ${center})`
+      });
+      addTitle(arc, `${segment.label}: ${formatValue(segment.value)} (${((segment.value / total) * 100).toFixed(1)}%)`);
+      svg.appendChild(arc);
+      offset += length;
+    });
+
+    const totalText = svgElement('text', { x: center, y: center + 2, class: 'chart-center-value' });
+    totalText.textContent = formatValue(total);
+    svg.appendChild(totalText);
+    if (options.centerLabel) {
+      const labelText = svgElement('text', { x: center, y: center + 16, class: 'chart-center-label' });
+      labelText.textContent = options.centerLabel;
+      svg.appendChild(labelText);
+    }
+
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    shown.forEach((segment, index) => {
+      const li = document.createElement('li');
+
+      const swatch = document.createElement('span');
+      swatch.className = 'chart-swatch';
+      swatch.style.backgroundColor = colors[index];
+
+      const label = document.createElement('span');
+      label.className = 'chart-legend-label';
+      label.textContent = segment.label;
+
+      const value = document.createElement('span');
+      value.className = 'chart-legend-value';
+      value.textContent = `${formatValue(segment.value)} · ${((segment.value / total) * 100).toFixed(0)}%`;
+
+      li.appendChild(swatch);
+      li.appendChild(label);
+      li.appendChild(value);
+      legend.appendChild(li);
+    });
+
+    container.appendChild(svg);
+    container.appendChild(legend);
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date as local midnight
+   */
+  function parseDate(date) {
+    return new Date(`${date}T00:00:00`);
+  }
+
+  /**
+   * Format a YYYY-MM-DD date as e.g. "Mar 4, 2026"
+   */
+  function formatDate(date) {
+    return parseDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  /**
+   * Draw a line chart of values over dates. Points are { date: 'YYYY-MM-DD',
+   * value }, oldest first; options are { emptyMessage, formatValue, target }
+   * where target ({ label, value }) draws a dashed reference line.
+   */
+  function renderLineChart(container, points, options = {}) {
+    const formatValue = options.formatValue || defaultFormat;
+    if (points.length === 0) {
+      renderEmpty(container, options.emptyMessage || 'Nothing to show yet.');
+      return;
+    }
+
+    container.innerHTML = '';
+    const target = options.target && options.target.value > 0 ? options.target : null;
+    const maxValue = Math.max(...points.map(point => point.value), target ? target.value : 0) || 1;
+
+    // A single date still gets a visible line
+    const first = parseDate(points[0].date).getTime();
+    const last = parseDate(points[points.length - 1].date).getTime();
+    const span = last - first || 1;
+
+    const plotWidth = LINE_WIDTH - LINE_PADDING.left - LINE_PADDING.right;
+    const plotHeight = LINE_HEIGHT - LINE_PADDING.top - LINE_PADDING.bottom;
+    const x = date => LINE_PADDING.left + (points.length === 1 ? plotWidth : ((parseDate(date).getTime() - first) / span) * plotWidth);
+    const y = value => LINE_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+    const svg = svgElement('svg', {
+      viewBox: `0 0 ${LINE_WIDTH} ${LINE_HEIGHT}`,
+      class: 'chart-line',
+      role: 'img',
+      'aria-label': `${formatValue(points[points.length - 1].value)} by ${formatDate(points[points.length - 1].date)}`
+    });
+
+    svg.appendChild(svgElement('line', {
+      x1: LINE_PADDING.left,
+      x2: LINE_WIDTH - LINE_PADDING.right,
+      y1: y(0),
+      y2: y(0),
+      class: 'chart-axis'
+    }));
+
+    if (target) {
+      const targetLine = svgElement('line', {
+        x1: LINE_PADDING.left,
+        x2: LINE_WIDTH - LINE_PADDING.right,
+        y1: y(target.value),
+        y2: y(target.value),
+        class: 'chart-target'
+      });
+      addTitle(targetLine, `${target.label}: ${formatValue(target.value)}`);
+      svg.appendChild(targetLine);
+
+      const targetText = svgElement('text', {
+        x: LINE_WIDTH - LINE_PADDING.right,
+        y: y(target.value) - 4,
+        class: 'chart-axis-label chart-axis-label-end'
+      });
+      targetText.textContent = `${target.label} ${formatValue(target.value)}`;
+      svg.appendChild(targetText);
+    }
+
+    // Start the line from zero so a single payment still draws a step up
+    const coordinates = [[x(points[0].date), y(0)], ...points.map(point => [x(point.date), y(point.value)])];
+    if (points.length === 1) {
+      coordinates[0][0] = LINE_PADDING.left;
+    }
+
+    svg.appendChild(svgElement('polygon', {
+      points: [...coordinates, [coordinates[coordinates.length - 1][0], y(0)]]
+        .map(([px, py]) => `${px},${py}`)
+        .join(' '),
+      class: 'chart-area'
+    }));
+    svg.appendChild(svgElement('polyline', {
+      points: coordinates.map(([px, py]) => `${px},${py}`).join(' '),
+      class: 'chart-path'
+    }));
+
+    points.forEach(point => {
+      const dot = svgElement('circle', { cx: x(point.date), cy: y(point.value), r: 3, class: 'chart-point' });
+      addTitle(dot, `${formatDate(point.date)}: ${formatValue(point.value)}`);
+      svg.appendChild(dot);
+    });
+
+    const startLabel = svgElement('text', { x: LINE_PADDING.left, y: LINE_HEIGHT - 6, class: 'chart-axis-label' });
+    startLabel.textContent = formatDate(points[0].date);
+    svg.appendChild(startLabel);
+    if (points.length > 1) {
+      const endLabel = svgElement('text', {
+        x: LINE_WIDTH - LINE_PADDING.right,
+        y: LINE_HEIGHT - 6,
+        class: 'chart-axis-label chart-axis-label-end'
+      });
+      endLabel.textContent = formatDate(points[points.length - 1].date);
+      svg.appendChild(endLabel);
+    }
+
+    container.appendChild(svg);
+  }
+
+  window.budgetCharts = {
+    renderDonut,
+    renderLineChart
+  };
+})();
@@ -2,26 +2,225 @@
  * Front-end logic for the wedding budget list page with inline editing.
  *
  * Fetches data from Supabase and provides searching, filtering, sorting,
- * and inline CRUD operations with auto-save. Anyone can edit, add, or delete items.
+ * and inline CRUD operations with auto-save. Visitors must sign in; every query
+ * is scoped to the active workspace.
  */
 
 (() => {
-  // Budget configuration
-  const BUDGET = 40000;
+  // Budget configuration - fallback used until the stored setting loads
+  const DEFAULT_BUDGET = 40000;
+  const BUDGET_SETTING_KEY = 'total_budget';
+
+  // Per-guest and per-table items take their quantity from the guest count
+  const GUEST_COUNT_SETTING_KEY = 'guest_count';
+  const DEFAULT_GUESTS_PER_TABLE = 8;
+  const QUANTITY_BASIS_LABELS = {
+    fixed: 'Fixed',
+    per_guest: 'Per guest',
+    per_table: 'Per table'
+  };
+
+  // Percentage charges added on top of an item's subtotal. Items can set
+  // their own rates; otherwise their category's default rates apply.
+  const RATE_FIELDS = [
+    { key: 'taxRate', dbKey: 'tax_rate', label: 'Tax' },
+    { key: 'serviceRate', dbKey: 'service_rate', label: 'Service' },
+    { key: 'gratuityRate', dbKey: 'gratuity_rate', label: 'Gratuity' }
+  ];
+
+  // Item fields edited inline as numbers (empty input saves NULL)
+  const NUMERIC_ITEM_FIELDS = ['unitCost', 'quantity', 'guestsPerTable', 'actualCost', 'taxRate', 'serviceRate', 'gratuityRate'];
 
   // Initialize Supabase client
   const { createClient } = supabase;
   const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+  // Importable/exportable CSV fields. Aliases are matched (case-insensitively)
+  // against CSV headers to pre-fill the import column mapping.
+  const CSV_FIELDS = [
+    { key: 'category', label: 'Category', required: true, aliases: ['category', 'cat'] },
+    { key: 'item', label: 'Item', required: true, aliases: ['item', 'name', 'description'] },
+    { key: 'required', label: 'Required', aliases: ['required', 'must have'] },
+    { key: 'status', label: 'Status', aliases: ['status', 'stage'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+    { key: 'tags', label: 'Tags', list: true, aliases: ['tags', 'tag', 'labels'] },
+    { key: 'unitCost', label: 'Unit Cost', numeric: true, aliases: ['unit cost', 'cost', 'price', 'unit price'] },
+    { key: 'quantity', label: 'Quantity', numeric: true, aliases: ['quantity', 'qty', 'count'] },
+    { key: 'subTotal', label: 'Subtotal', numeric: true, aliases: ['subtotal', 'sub total', 'total'] },
+    { key: 'actualCost', label: 'Actual Cost', numeric: true, aliases: ['actual cost', 'actual', 'invoiced'] }
+  ];
+  const REQUIRED_OPTIONS = ['Yes', 'No', 'Maybe', 'Optional'];
+
+  // Item status workflow, in order. Booked and paid items are committed
+  // spend; ideas and quotes are still speculative.
+  const ITEM_STATUSES = ['idea', 'quoted', 'booked', 'paid'];
+  const ITEM_STATUS_LABELS = {
+    idea: 'Idea',
+    quoted: 'Quoted',
+    booked: 'Booked',
+    paid: 'Paid'
+  };
+  const COMMITTED_STATUSES = ['booked', 'paid'];
+  const CSV_PREVIEW_ROWS = 50;
+
+  // Backup file format version and columns that are not compared on restore
+  const BACKUP_VERSION = 1;
+  const BACKUP_IGNORED_FIELDS = ['id', 'workspace_id', 'created_at', 'updated_at'];
+
+  // Maximum number of undoable actions kept for the session
+  const MAX_UNDO_STEPS = 50;
+
+  // How long a row stays highlighted after a change from another browser (ms)
+  const REMOTE_HIGHLIGHT_MS = 3000;
+
+  // How many of our own write versions to remember for matching realtime echoes
+  const OWN_WRITE_VERSIONS_LIMIT = 200;
+
+  // localStorage key (suffixed with the workspace id) for the scenario shown in the metric cards
+  const ACTIVE_SCENARIO_KEY = 'weddingBudget.scenarioId';
+
+  // localStorage key for the list layout: { view: 'table' | 'board', groupBy: 'status' | 'category',
+  // groupRows, collapsedCategories }
+  const LIST_LAYOUT_KEY = 'weddingBudget.listLayout';
+
+  // Fields the filter builder can test. `get` reads the item's value; the
+  // type decides the operators and value inputs offered for it.
+  const FILTER_FIELDS = {
+    cost: { label: 'Estimated cost', type: 'number', get: item => calculateItemTotal(item) },
+    actualCost: { label: 'Actual cost', type: 'number', get: item => getActualCost(item) },
+    quantity: { label: 'Quantity', type: 'number', get: item => getEffectiveQuantity(item) },
+    status: {
+      label: 'Status',
+      type: 'list',
+      get: item => item.status,
+      options: () => ITEM_STATUSES,
+      optionLabel: status => ITEM_STATUS_LABELS[status]
+    },
+    category: { label: 'Category', type: 'list', get: item => item.category, options: () => getAllCategories() },
+    tags: { label: 'Tags', type: 'list', get: item => item.tags || [], options: () => getAllTags() },
+    notes: { label: 'Has notes', type: 'boolean', get: item => Boolean(item.notes && item.notes.trim()) },
+    markdown: { label: 'Has markdown', type: 'boolean', get: item => Boolean(item.mdContent && item.mdContent.trim()) },
+    updatedAt: { label: 'Updated', type: 'date', get: item => item.updatedAt }
+  };
+  const FILTER_OPERATORS = {
+    number: [['gte', 'at least'], ['lte', 'at most'], ['between', 'between']],
+    list: [['in', 'includes any of']],
+    boolean: [['is', 'is']],
+    date: [['since', 'on or after']]
+  };
+
   // Data storage
   let originalData = [];
   let filteredData = [];
-  let currentSort = { key: 'id', asc: true };
+  let trashedItems = [];
+  let currentSort = { key: 'position', asc: true };
+  let budget = DEFAULT_BUDGET;
+  let guestCount = null;
+  // guestCount follows the input as it's typed; this is what the database has
+  let savedGuestCount = null;
+  let categoryAllocations = {};
+  let categoryRates = {};
+  let payments = [];
+  let upcomingRangeDays = 30;
+  let vendors = [];
+
+  // CSV import state
+  let csvHeaders = [];
+  let csvRows = [];
+
+  // Restore state: differences between a loaded backup and the database
+  let restoreDiffs = [];
 
   // Track editing state
   let currentEditingRow = null;
   let editingItemBackup = null;
 
+  // Session undo/redo stacks. Entries are { type: 'update', itemId, field,
+  // oldValue, newValue }, { type: 'create', itemId } or { type: 'delete', itemId }.
+  let undoStack = [];
+  let redoStack = [];
+  let isApplyingHistory = false;
+
+  // Ids of rows recently changed by another browser, highlighted on render
+  const remoteHighlightIds = new Set();
+
+  // Our own field writes, so their realtime echoes aren't mistaken for other
+  // browsers' changes: columns still in flight per item id, and the
+  // `${id}@${updated_at}` of writes that have returned
+  const inFlightFields = new Map();
+  const ownWriteVersions = new Set();
+
+  // Save conflicts waiting for the dialog, oldest first; the first one is
+  // showing and is resolved with 'mine' or 'theirs' when it closes
+  let conflictQueue = [];
+
+  // Set once real data has loaded, so an empty list never overwrites the offline cache
+  let hasLoadedData = false;
+
+  // Signed-in user and active workspace; every query is scoped to workspaceId
+  let currentUser = null;
+  let workspaceId = null;
+  let workspaceRole = null;
+
+  // Budget scenarios: named plans with per-item overrides of unit cost,
+  // quantity or inclusion. activeScenarioId is shown next to the baseline in
+  // the metric cards; editingScenarioId is open in the scenario editor.
+  let scenarios = [];
+  let scenarioOverrides = [];
+  let activeScenarioId = null;
+  let editingScenarioId = null;
+
+  // Filter builder conditions ({ field, op, value }), combined with 'and' or
+  // 'or', on top of the quick filters in the controls bar
+  let advancedFilter = { match: 'and', conditions: [] };
+
+  // Saved filter + sort combinations; activeViewId is set while one is
+  // applied and unchanged
+  let savedViews = [];
+  let activeViewId = null;
+
+  // Table or board layout, the board's grouping field, and whether the
+  // table is grouped under (collapsible) category headers
+  let listLayout = { view: 'table', groupBy: 'status', groupRows: false, collapsedCategories: [] };
+
+  // Row being dragged to a new manual position
+  let draggedRowId = null;
+
+  // Table cells that show a pending (queued offline) write, keyed by database field
+  const PENDING_CELL_INDEXES = {
+    insert: 2,
+    position: 0,
+    category: 1,
+    item: 2,
+    tags: 2,
+    required: 3,
+    status: 4,
+    unit_cost: 5,
+    quantity: 6,
+    quantity_basis: 6,
+    guests_per_table: 6,
+    tax_rate: 7,
+    service_rate: 7,
+    gratuity_rate: 7,
+    actual_cost: 8
+  };
+
+  /**
+   * Clean up a list of tags: trimmed, no blanks, and no repeats (ignoring case,
+   * keeping the first spelling)
+   */
+  function normalizeTags(tags) {
+    const seen = new Set();
+    return (Array.isArray(tags) ? tags : []).reduce((result, tag) => {
+      const trimmed = String(tag).trim().replace(/\s+/g, ' ');
+      if (trimmed && !seen.has(trimmed.toLowerCase())) {
+        seen.add(trimmed.toLowerCase());
+        result.push(trimmed);
+      }
+      return result;
+    }, []);
+  }
+
   /**
    * Transform database row (snake_case) to app format (camelCase)
    */
@@ -31,12 +230,24 @@
       category: dbItem.category,
       item: dbItem.item,
       required: dbItem.required,
+      status: dbItem.status || 'idea',
       notes: dbItem.notes,
+      tags: dbItem.tags || [],
+      position: dbItem.position,
       unitCost: dbItem.unit_cost,
       quantity: dbItem.quantity,
+      quantityBasis: dbItem.quantity_basis || 'fixed',
+      guestsPerTable: dbItem.guests_per_table,
+      taxRate: dbItem.tax_rate,
+      serviceRate: dbItem.service_rate,
+      gratuityRate: dbItem.gratuity_rate,
       subTotal: dbItem.sub_total,
+      actualCost: dbItem.actual_cost,
+      vendorId: dbItem.vendor_id,
+      deletedAt: dbItem.deleted_at,
       mdContent: dbItem.md_content,
-      html: dbItem.html
+      html: dbItem.html,
+      updatedAt: dbItem.updated_at
     };
   }
 
@@ -45,26 +256,39 @@
    */
   function transformToDb(item) {
     return {
+      workspace_id: workspaceId,
       category: item.category,
       item: item.item,
       required: item.required,
+      status: item.status || 'idea',
       notes: item.notes,
+      tags: normalizeTags(item.tags),
+      position: typeof item.position === 'number' ? item.position : null,
       unit_cost: item.unitCost || null,
       quantity: item.quantity || null,
+      quantity_basis: item.quantityBasis || 'fixed',
+      guests_per_table: item.guestsPerTable || null,
+      tax_rate: item.taxRate !== undefined ? item.taxRate : null,
+      service_rate: item.serviceRate !== undefined ? item.serviceRate : null,
+      gratuity_rate: item.gratuityRate !== undefined ? item.gratuityRate : null,
       sub_total: item.subTotal || null,
+      actual_cost: item.actualCost !== undefined ? item.actualCost : null,
+      vendor_id: item.vendorId || null,
       md_content: item.mdContent || null,
       html: null // We don't use pre-rendered HTML anymore
     };
   }
 
   /**
-   * Fetch all budget items from Supabase
+   * Fetch all budget items from Supabase (trashed items excluded)
    */
   async function fetchAllItems() {
     try {
       const { data, error } = await supabaseClient
         .from('budget_items')
         .select('*')
+        .eq('workspace_id', workspaceId)
+        .is('deleted_at', null)
         .order('id');
 
       if (error) {
@@ -81,10 +305,79 @@
     }
   }
 
+  /**
+   * Fetch all budget_items rows exactly as stored (snake_case, timestamps included)
+   */
+  async function fetchRawItems() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_items')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('id');
+
+      if (error) {
+        console.error('Error fetching items:', error);
+        showError('Failed to read budget items from database.');
+        return null;
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Insert or overwrite raw budget_items rows by id, then insert `copies`
+   * (rows without an id) as new items
+   */
+  async function upsertRawItems(rows, copies = []) {
+    try {
+      if (rows.length > 0) {
+        const { error } = await supabaseClient
+          .from('budget_items')
+          .upsert(rows, { onConflict: 'id' });
+
+        if (error) {
+          console.error('Error restoring items:', error);
+          showError('Failed to restore items. No changes were made.');
+          return false;
+        }
+      }
+
+      if (copies.length > 0) {
+        const { error } = await supabaseClient
+          .from('budget_items')
+          .insert(copies);
+
+        if (error) {
+          console.error('Error copying items:', error);
+          showError(rows.length > 0
+            ? 'Restored items from this workspace, but failed to copy items from the other workspace.'
+            : 'Failed to copy items from the backup. No changes were made.');
+          return false;
+        }
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
   /**
    * Create a new item in Supabase
    */
   async function createItem(item) {
+    if (offlineStore.shouldQueue()) {
+      return queueItemCreate(item);
+    }
+
     try {
       const { data, error } = await supabaseClient
         .from('budget_items')
@@ -105,6 +398,30 @@
     }
   }
 
+  /**
+   * Create several items in Supabase with a single insert
+   */
+  async function createItems(items) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_items')
+        .insert(items.map(transformToDb))
+        .select();
+
+      if (error) {
+        console.error('Error creating items:', error);
+        showError('Failed to import items. No rows were added.');
+        return null;
+      }
+
+      return data ? data.map(transformItem) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
   /**
    * Update an existing item in Supabase
    */
@@ -131,31 +448,132 @@
   }
 
   /**
-   * Update a single field of an item in Supabase
+   * Fetch a single item by ID (trashed or not), or null if it no longer exists
    */
-  async function updateItemField(id, field, value) {
+  async function fetchItemById(id) {
     try {
-      const updateData = { [field]: value };
       const { data, error } = await supabaseClient
         .from('budget_items')
-        .update(updateData)
+        .select('*')
         .eq('id', id)
-        .select();
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching item:', error);
+        return null;
+      }
+
+      return data ? transformItem(data) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Update a single field of an item in Supabase. When expectedUpdatedAt is
+   * given the write only applies if the row hasn't changed since; otherwise
+   * { conflict: true } is returned instead of the item.
+   */
+  async function updateItemField(id, field, value, expectedUpdatedAt) {
+    // Queued writes skip the updated_at check; the replay checks the field instead
+    if (offlineStore.shouldQueue()) {
+      return queueItemUpdate(id, field, value);
+    }
+
+    trackInFlightField(id, field, 1);
+    try {
+      const updateData = { [field]: value };
+      let query = supabaseClient
+        .from('budget_items')
+        .update(updateData)
+        .eq('id', id);
+      if (expectedUpdatedAt) {
+        query = query.eq('updated_at', expectedUpdatedAt);
+      }
+      const { data, error } = await query.select();
 
       if (error) {
         console.error('Error updating field:', error);
         return null;
       }
 
-      return data && data.length > 0 ? transformItem(data[0]) : null;
+      if (expectedUpdatedAt && data && data.length === 0) {
+        return { conflict: true };
+      }
+
+      if (!data || data.length === 0) return null;
+      ownWriteVersions.add(`${id}@${data[0].updated_at}`);
+      // Echoes that arrived mid-write never claim their entry; keep the set small
+      if (ownWriteVersions.size > OWN_WRITE_VERSIONS_LIMIT) {
+        ownWriteVersions.delete(ownWriteVersions.values().next().value);
+      }
+      return transformItem(data[0]);
     } catch (err) {
       console.error('Unexpected error:', err);
       return null;
+    } finally {
+      trackInFlightField(id, field, -1);
+    }
+  }
+
+  /**
+   * Count a column write to an item as started (1) or finished (-1)
+   */
+  function trackInFlightField(id, field, delta) {
+    const fields = inFlightFields.get(id) || new Map();
+    const count = (fields.get(field) || 0) + delta;
+    if (count > 0) {
+      fields.set(field, count);
+    } else {
+      fields.delete(field);
+    }
+    if (fields.size > 0) {
+      inFlightFields.set(id, fields);
+    } else {
+      inFlightFields.delete(id);
     }
   }
 
   /**
-   * Delete an item from Supabase
+   * Fetch items currently in the trash, most recently trashed first
+   */
+  async function fetchTrashedItems() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_items')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching trash:', error);
+        return [];
+      }
+
+      return data ? data.map(transformItem) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Move an item to the trash (deletedAt = now) or restore it (deletedAt = null)
+   */
+  async function setItemTrashed(id, trashed) {
+    const updated = await updateItemField(id, 'deleted_at', trashed ? new Date().toISOString() : null);
+    if (!updated) {
+      showError(trashed
+        ? 'Failed to move item to the trash. Please try again.'
+        : 'Failed to restore item. Please try again.');
+    }
+    return updated;
+  }
+
+  /**
+   * Permanently delete an item from Supabase
    */
   async function deleteItem(id) {
     try {
@@ -179,86 +597,915 @@
   }
 
   /**
-   * Display an error message to the user
+   * Fetch the overall budget from the settings table
    */
-  function showError(message) {
-    const main = document.querySelector('main');
-    const existingError = main.querySelector('.error-banner');
-    if (existingError) {
-      existingError.remove();
-    }
+  async function fetchBudget() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_settings')
+        .select('value')
+        .eq('workspace_id', workspaceId)
+        .eq('key', BUDGET_SETTING_KEY)
+        .maybeSingle();
 
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'error-banner';
-    errorDiv.style.cssText = 'background: #ffebee; color: #d32f2f; padding: 1rem; border-radius: 8px; margin: 1rem 0; border: 1px solid #ef5350;';
-    errorDiv.textContent = message;
-    main.insertBefore(errorDiv, main.firstChild);
+      if (error) {
+        console.error('Error fetching budget:', error);
+        showError('Failed to load budget setting. Using the default budget.');
+        return DEFAULT_BUDGET;
+      }
 
-    // Auto-remove after 5 seconds
-    setTimeout(() => errorDiv.remove(), 5000);
+      const amount = data ? parseFloat(data.value) : NaN;
+      return isNaN(amount) ? DEFAULT_BUDGET : amount;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return DEFAULT_BUDGET;
+    }
   }
 
   /**
-   * Display a success message to the user
+   * Save a new overall budget and record the change in budget_history
    */
-  function showSuccess(message) {
-    const main = document.querySelector('main');
-    const existingSuccess = main.querySelector('.success-banner');
-    if (existingSuccess) {
-      existingSuccess.remove();
-    }
+  async function saveBudget(amount, reason) {
+    try {
+      const { error } = await supabaseClient
+        .from('budget_settings')
+        .upsert(
+          { workspace_id: workspaceId, key: BUDGET_SETTING_KEY, value: amount },
+          { onConflict: 'workspace_id,key' }
+        );
 
-    const successDiv = document.createElement('div');
-    successDiv.className = 'success-banner';
-    successDiv.style.cssText = 'background: #e8f5e9; color: #2e7d32; padding: 1rem; border-radius: 8px; margin: 1rem 0; border: 1px solid #4caf50;';
-    successDiv.textContent = message;
-    main.insertBefore(successDiv, main.firstChild);
+      if (error) {
+        console.error('Error saving budget:', error);
+        showError('Failed to save budget. Please try again.');
+        return false;
+      }
 
-    // Auto-remove after 3 seconds
-    setTimeout(() => successDiv.remove(), 3000);
+      const { error: historyError } = await supabaseClient
+        .from('budget_history')
+        .insert([{
+          workspace_id: workspaceId,
+          previous_amount: budget,
+          new_amount: amount,
+          reason: reason || null
+        }]);
+
+      if (historyError) {
+        // The budget itself was saved, so only log the missing history entry
+        console.error('Error recording budget history:', historyError);
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
   }
 
   /**
-   * Calculate the subtotal for an item
+   * Fetch the guest count from the settings table (null if it hasn't been set)
    */
-  function calculateSubTotal(item) {
-    if (typeof item.subTotal === 'number') {
-      return item.subTotal;
+  async function fetchGuestCount() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_settings')
+        .select('value')
+        .eq('workspace_id', workspaceId)
+        .eq('key', GUEST_COUNT_SETTING_KEY)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching guest count:', error);
+        return null;
+      }
+
+      const count = data ? parseInt(data.value, 10) : NaN;
+      return isNaN(count) ? null : count;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
     }
-    const cost = typeof item.unitCost === 'number' ? item.unitCost : 0;
-    const qty = typeof item.quantity === 'number' && item.quantity !== null ? item.quantity : 1;
-    return cost * qty;
   }
 
   /**
-   * Enter edit mode for a table row
+   * Save the guest count setting (null clears it)
    */
-  function enterEditMode(rowElement, item) {
-    // If another row is being edited, exit that first
-    if (currentEditingRow && currentEditingRow !== rowElement) {
-      exitEditMode(currentEditingRow, false);
-    }
+  async function saveGuestCount(count) {
+    try {
+      const { error } = await supabaseClient
+        .from('budget_settings')
+        .upsert(
+          { workspace_id: workspaceId, key: GUEST_COUNT_SETTING_KEY, value: count },
+          { onConflict: 'workspace_id,key' }
+        );
 
-    currentEditingRow = rowElement;
-    editingItemBackup = { ...item };
-    rowElement.classList.add('row-editing');
+      if (error) {
+        console.error('Error saving guest count:', error);
+        showError('Failed to save the guest count. Please try again.');
+        return false;
+      }
 
-    // Get all cells
-    const cells = rowElement.querySelectorAll('td');
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
 
-    // Category cell (index 1)
-    const categoryCell = cells[1];
-    const categoryValue = item.category || '';
-    categoryCell.innerHTML = '';
-    const categoryInput = document.createElement('input');
-    categoryInput.type = 'text';
-    categoryInput.value = categoryValue;
-    categoryInput.className = 'inline-edit-input';
-    categoryInput.setAttribute('list', 'categoryList');
-    categoryInput.dataset.field = 'category';
-    categoryInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
-    categoryInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
-    categoryCell.appendChild(categoryInput);
+  /**
+   * Fetch the budget change history, newest first
+   */
+  async function fetchBudgetHistory() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_history')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('changed_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching budget history:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch per-category allocations as a { category: amount } map
+   */
+  async function fetchCategoryAllocations() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('category_allocations')
+        .select('*')
+        .eq('workspace_id', workspaceId);
+
+      if (error) {
+        console.error('Error fetching category allocations:', error);
+        return {};
+      }
+
+      return (data || []).reduce((map, row) => {
+        map[row.category] = parseFloat(row.allocated);
+        return map;
+      }, {});
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return {};
+    }
+  }
+
+  /**
+   * Save (or clear, when amount is null) the allocation for a category
+   */
+  async function saveCategoryAllocation(category, amount) {
+    try {
+      const query = amount === null
+        ? supabaseClient
+          .from('category_allocations')
+          .delete()
+          .eq('workspace_id', workspaceId)
+          .eq('category', category)
+        : supabaseClient
+          .from('category_allocations')
+          .upsert(
+            { workspace_id: workspaceId, category, allocated: amount },
+            { onConflict: 'workspace_id,category' }
+          );
+      const { error } = await query;
+
+      if (error) {
+        console.error('Error saving category allocation:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the default tax and fee rates, keyed by category
+   */
+  async function fetchCategoryRates() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('category_rates')
+        .select('*')
+        .eq('workspace_id', workspaceId);
+
+      if (error) {
+        console.error('Error fetching category rates:', error);
+        return {};
+      }
+
+      return (data || []).reduce((map, row) => {
+        map[row.category] = RATE_FIELDS.reduce((rates, field) => {
+          rates[field.key] = row[field.dbKey] !== null ? parseFloat(row[field.dbKey]) : null;
+          return rates;
+        }, {});
+        return map;
+      }, {});
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return {};
+    }
+  }
+
+  /**
+   * Save a category's default rates ({ taxRate, serviceRate, gratuityRate },
+   * null for unset), deleting the row once none are set
+   */
+  async function saveCategoryRates(category, rates) {
+    try {
+      const isEmpty = RATE_FIELDS.every(field => rates[field.key] === null);
+      const row = { workspace_id: workspaceId, category };
+      RATE_FIELDS.forEach(field => {
+        row[field.dbKey] = rates[field.key];
+      });
+
+      const query = isEmpty
+        ? supabaseClient
+          .from('category_rates')
+          .delete()
+          .eq('workspace_id', workspaceId)
+          .eq('category', category)
+        : supabaseClient
+          .from('category_rates')
+          .upsert(row, { onConflict: 'workspace_id,category' });
+      const { error } = await query;
+
+      if (error) {
+        console.error('Error saving category rates:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch all payments from Supabase
+   */
+  async function fetchAllPayments() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('payments')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('due_on', { ascending: true, nullsFirst: false });
+
+      if (error) {
+        console.error('Error fetching payments:', error);
+        return [];
+      }
+
+      return data ? data.map(transformPayment) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Transform a payment row (snake_case) to app format (camelCase)
+   */
+  function transformPayment(dbPayment) {
+    return {
+      id: dbPayment.id,
+      itemId: dbPayment.item_id,
+      amount: parseFloat(dbPayment.amount),
+      paidOn: dbPayment.paid_on,
+      dueOn: dbPayment.due_on,
+      method: dbPayment.method,
+      paymentType: dbPayment.payment_type,
+      notes: dbPayment.notes
+    };
+  }
+
+  /**
+   * Fetch vendor names for the vendor filter
+   */
+  async function fetchVendors() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('vendors')
+        .select('id, name')
+        .eq('workspace_id', workspaceId)
+        .order('name');
+
+      if (error) {
+        console.error('Error fetching vendors:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Transform a scenario_overrides row (snake_case) to app format (camelCase)
+   */
+  function transformScenarioOverride(dbOverride) {
+    return {
+      scenarioId: dbOverride.scenario_id,
+      itemId: dbOverride.item_id,
+      unitCost: dbOverride.unit_cost !== null ? parseFloat(dbOverride.unit_cost) : null,
+      quantity: dbOverride.quantity !== null ? parseFloat(dbOverride.quantity) : null,
+      excluded: dbOverride.excluded
+    };
+  }
+
+  /**
+   * Fetch the workspace's budget scenarios, oldest first
+   */
+  async function fetchScenarios() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_scenarios')
+        .select('id, name')
+        .eq('workspace_id', workspaceId)
+        .order('created_at');
+
+      if (error) {
+        console.error('Error fetching scenarios:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch the item overrides of every scenario in the workspace
+   */
+  async function fetchScenarioOverrides() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('scenario_overrides')
+        .select('scenario_id, item_id, unit_cost, quantity, excluded')
+        .eq('workspace_id', workspaceId);
+
+      if (error) {
+        console.error('Error fetching scenario overrides:', error);
+        return [];
+      }
+
+      return data ? data.map(transformScenarioOverride) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Create an empty scenario (everything at baseline)
+   */
+  async function createScenario(name) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_scenarios')
+        .insert([{ workspace_id: workspaceId, name }])
+        .select('id, name');
+
+      if (error) {
+        console.error('Error creating scenario:', error);
+        showError('Failed to create the scenario. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Delete a scenario and (via cascade) its overrides
+   */
+  async function deleteScenario(id) {
+    try {
+      const { error } = await supabaseClient
+        .from('budget_scenarios')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting scenario:', error);
+        showError('Failed to delete the scenario. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Save (or clear, when override is null) a scenario's override for one item
+   */
+  async function saveScenarioOverride(scenarioId, itemId, override) {
+    try {
+      const query = override === null
+        ? supabaseClient
+          .from('scenario_overrides')
+          .delete()
+          .eq('scenario_id', scenarioId)
+          .eq('item_id', itemId)
+        : supabaseClient
+          .from('scenario_overrides')
+          .upsert({
+            scenario_id: scenarioId,
+            item_id: itemId,
+            unit_cost: override.unitCost,
+            quantity: override.quantity,
+            excluded: override.excluded
+          }, { onConflict: 'scenario_id,item_id' });
+      const { error } = await query;
+
+      if (error) {
+        console.error('Error saving scenario override:', error);
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the workspace's saved views, by name
+   */
+  async function fetchSavedViews() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('saved_views')
+        .select('id, name, definition')
+        .eq('workspace_id', workspaceId)
+        .order('name');
+
+      if (error) {
+        console.error('Error fetching saved views:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Save the current filter state as a named view, returning { id, name, definition }
+   */
+  async function createSavedView(name, definition) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('saved_views')
+        .insert([{ workspace_id: workspaceId, name, definition }])
+        .select('id, name, definition');
+
+      if (error) {
+        console.error('Error saving view:', error);
+        showError('Failed to save the view. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Delete a saved view
+   */
+  async function deleteSavedView(id) {
+    try {
+      const { error } = await supabaseClient
+        .from('saved_views')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting view:', error);
+        showError('Failed to delete the view. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the members of the active workspace, oldest first
+   */
+  async function fetchWorkspaceMembers() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('workspace_members')
+        .select('user_id, email, role, created_at')
+        .eq('workspace_id', workspaceId)
+        .order('created_at');
+
+      if (error) {
+        console.error('Error fetching members:', error);
+        return null;
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch invites to the active workspace that haven't been accepted yet
+   */
+  async function fetchPendingInvites() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('workspace_invites')
+        .select('id, email, role, created_at')
+        .eq('workspace_id', workspaceId)
+        .is('accepted_at', null)
+        .order('created_at');
+
+      if (error) {
+        console.error('Error fetching invites:', error);
+        return null;
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Invite an email address to the active workspace with a role and email them a sign-in link
+   */
+  async function createInvite(email, role) {
+    try {
+      const { error } = await supabaseClient
+        .from('workspace_invites')
+        .insert([{ workspace_id: workspaceId, email: email.toLowerCase(), role }]);
+
+      // 23505: already invited; sending the link again is still useful
+      if (error && error.code !== '23505') {
+        console.error('Error creating invite:', error);
+        showError('Failed to create the invite. Please try again.');
+        return false;
+      }
+
+      const loginUrl = new URL('login.html', window.location.href).href;
+      const { error: linkError } = await supabaseClient.auth.signInWithOtp({
+        email,
+        options: { emailRedirectTo: loginUrl }
+      });
+
+      if (linkError) {
+        // The invite still applies the next time they sign in
+        console.error('Error sending invite email:', linkError);
+        showError(`Invite saved, but the email to ${email} could not be sent. Ask them to sign in at ${loginUrl}.`);
+        return true;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Change a member's role in the active workspace
+   */
+  async function updateMemberRole(userId, role) {
+    try {
+      const { error } = await supabaseClient
+        .from('workspace_members')
+        .update({ role })
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', userId);
+
+      if (error) {
+        console.error('Error updating role:', error);
+        showError(error.code === '42501' ? error.message : 'Failed to change the role. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Remove a member from the active workspace, or cancel a pending invite
+   */
+  async function removeWorkspaceAccess(entry) {
+    try {
+      const query = entry.userId
+        ? supabaseClient
+          .from('workspace_members')
+          .delete()
+          .eq('workspace_id', workspaceId)
+          .eq('user_id', entry.userId)
+        : supabaseClient
+          .from('workspace_invites')
+          .delete()
+          .eq('id', entry.inviteId);
+      const { error } = await query;
+
+      if (error) {
+        console.error('Error removing access:', error);
+        showError(error.code === '42501' ? error.message : 'Failed to remove access. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Display an error message to the user
+   */
+  function showError(message) {
+    const main = document.querySelector('main');
+    const existingError = main.querySelector('.error-banner');
+    if (existingError) {
+      existingError.remove();
+    }
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-banner';
+    errorDiv.style.cssText = 'background: #ffebee; color: #d32f2f; padding: 1rem; border-radius: 8px; margin: 1rem 0; border: 1px solid #ef5350;';
+    errorDiv.textContent = message;
+    main.insertBefore(errorDiv, main.firstChild);
+
+    // Auto-remove after 5 seconds
+    setTimeout(() => errorDiv.remove(), 5000);
+  }
+
+  /**
+   * Display a success message to the user
+   */
+  function showSuccess(message) {
+    const main = document.querySelector('main');
+    const existingSuccess = main.querySelector('.success-banner');
+    if (existingSuccess) {
+      existingSuccess.remove();
+    }
+
+    const successDiv = document.createElement('div');
+    successDiv.className = 'success-banner';
+    successDiv.style.cssText = 'background: #e8f5e9; color: #2e7d32; padding: 1rem; border-radius: 8px; margin: 1rem 0; border: 1px solid #4caf50;';
+    successDiv.textContent = message;
+    main.insertBefore(successDiv, main.firstChild);
+
+    // Auto-remove after 3 seconds
+    setTimeout(() => successDiv.remove(), 3000);
+  }
+
+  /**
+   * Calculate the subtotal for an item
+   */
+  function calculateSubTotal(item) {
+    // A stored subtotal would go stale as the guest count changes
+    if (typeof item.subTotal === 'number' && !isGuestDriven(item)) {
+      return item.subTotal;
+    }
+    const cost = typeof item.unitCost === 'number' ? item.unitCost : 0;
+    return cost * getEffectiveQuantity(item);
+  }
+
+  /**
+   * Whether an item's quantity is currently derived from the guest count
+   */
+  function isGuestDriven(item) {
+    return guestCount !== null && (item.quantityBasis === 'per_guest' || item.quantityBasis === 'per_table');
+  }
+
+  /**
+   * Get the quantity an item is priced at: the guest count for per-guest
+   * items, the number of tables needed for per-table items, otherwise the
+   * entered quantity (default 1). Falls back to the entered quantity while
+   * no guest count is set.
+   */
+  function getEffectiveQuantity(item) {
+    if (isGuestDriven(item)) {
+      if (item.quantityBasis === 'per_guest') return guestCount;
+      const perTable = item.guestsPerTable > 0 ? item.guestsPerTable : DEFAULT_GUESTS_PER_TABLE;
+      return Math.ceil(guestCount / perTable);
+    }
+    return typeof item.quantity === 'number' && item.quantity !== null ? item.quantity : 1;
+  }
+
+  /**
+   * Get the tax, service charge and gratuity percentages for an item: its
+   * own rate where set, otherwise its category's default, otherwise 0
+   */
+  function getEffectiveRates(item) {
+    const defaults = categoryRates[item.category] || {};
+    return RATE_FIELDS.reduce((rates, field) => {
+      if (typeof item[field.key] === 'number') {
+        rates[field.key] = item[field.key];
+      } else {
+        rates[field.key] = typeof defaults[field.key] === 'number' ? defaults[field.key] : 0;
+      }
+      return rates;
+    }, {});
+  }
+
+  /**
+   * Break an item's pre-tax amount down into service charge, tax and
+   * gratuity. The service charge is taxed along with the amount; gratuity
+   * is calculated on the pre-tax amount.
+   */
+  function calculateCharges(item, preTax) {
+    const { taxRate, serviceRate, gratuityRate } = getEffectiveRates(item);
+    const service = preTax * serviceRate / 100;
+    const tax = (preTax + service) * taxRate / 100;
+    const gratuity = preTax * gratuityRate / 100;
+    return { preTax, service, tax, gratuity, total: preTax + service + tax + gratuity };
+  }
+
+  /**
+   * Estimated cost of an item including tax, service charge and gratuity
+   */
+  function calculateItemTotal(item) {
+    return calculateCharges(item, calculateSubTotal(item)).total;
+  }
+
+  /**
+   * Describe how a guest-driven quantity was derived, e.g. "per table of 8"
+   */
+  function describeQuantityBasis(item) {
+    if (item.quantityBasis === 'per_guest') return 'per guest';
+    if (item.quantityBasis === 'per_table') {
+      return `per table of ${item.guestsPerTable > 0 ? item.guestsPerTable : DEFAULT_GUESTS_PER_TABLE}`;
+    }
+    return '';
+  }
+
+  /**
+   * Get the invoiced cost of an item, or null if it hasn't been invoiced
+   */
+  function getActualCost(item) {
+    return typeof item.actualCost === 'number' ? item.actualCost : null;
+  }
+
+  /**
+   * Calculate actual minus estimated cost (null until an actual cost is set).
+   * Positive means the item came in over the estimate.
+   */
+  function calculateVariance(item) {
+    const actual = getActualCost(item);
+    return actual === null ? null : actual - calculateItemTotal(item);
+  }
+
+  /**
+   * Cost we expect to pay: the actual cost once invoiced, otherwise the estimate
+   */
+  function calculateCommittedCost(item) {
+    const actual = getActualCost(item);
+    return actual === null ? calculateItemTotal(item) : actual;
+  }
+
+  /**
+   * Format a signed variance, e.g. "+$120.00" / "-$45.00"
+   */
+  function formatVariance(value) {
+    if (value === null) return '—';
+    if (value === 0) return formatCurrency(0);
+    return `${value > 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+  }
+
+  /**
+   * Get the status class for a variance: over estimate is danger, under is good
+   */
+  function getVarianceStatus(value) {
+    if (value === null || value === 0) return '';
+    return value > 0 ? 'status-danger' : 'status-good';
+  }
+
+  /**
+   * Calculate the total amount paid toward an item (scheduled payments excluded)
+   */
+  function calculatePaid(item) {
+    return payments
+      .filter(payment => payment.itemId === item.id && payment.paidOn)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+  }
+
+  /**
+   * Calculate the balance still due on an item
+   */
+  function calculateBalanceDue(item) {
+    return calculateCommittedCost(item) - calculatePaid(item);
+  }
+
+  /**
+   * Whether the signed-in user can add and edit items in this workspace
+   */
+  function canEditItems() {
+    return workspaceAuth.canEdit(workspaceRole);
+  }
+
+  /**
+   * Whether the signed-in user can delete items and use the trash
+   */
+  function canDeleteItems() {
+    return workspaceAuth.canDelete(workspaceRole);
+  }
+
+  /**
+   * Hide the page controls the signed-in user's role doesn't allow.
+   * The database policies enforce the same rules.
+   */
+  function applyRolePermissions() {
+    const hide = (id, hidden) => {
+      document.getElementById(id).style.display = hidden ? 'none' : '';
+    };
+    ['addItemBtn', 'importCsvBtn', 'undoBtn', 'redoBtn', 'editBudgetBtn'].forEach(id => hide(id, !canEditItems()));
+    // Restoring a backup can bring back trashed rows, so it's owner-only like the trash
+    ['restoreBtn', 'trashBtn'].forEach(id => hide(id, !canDeleteItems()));
+    document.getElementById('guestCountInput').disabled = !canEditItems();
+    document.getElementById('inviteForm').style.display = canDeleteItems() ? 'block' : 'none';
+  }
+
+  /**
+   * Enter edit mode for a table row
+   */
+  function enterEditMode(rowElement, item) {
+    if (!canEditItems()) return;
+
+    // If another row is being edited, exit that first
+    if (currentEditingRow && currentEditingRow !== rowElement) {
+      exitEditMode(currentEditingRow, false);
+    }
+
+    currentEditingRow = rowElement;
+    editingItemBackup = { ...item };
+    rowElement.classList.add('row-editing');
+
+    // Get all cells
+    const cells = rowElement.querySelectorAll('td');
+
+    // Category cell (index 1)
+    const categoryCell = cells[1];
+    const categoryValue = item.category || '';
+    categoryCell.innerHTML = '';
+    const categoryInput = document.createElement('input');
+    categoryInput.type = 'text';
+    categoryInput.value = categoryValue;
+    categoryInput.className = 'inline-edit-input';
+    categoryInput.setAttribute('list', 'categoryList');
+    categoryInput.dataset.field = 'category';
+    categoryInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    categoryInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    categoryCell.appendChild(categoryInput);
 
     // Item cell (index 2)
     const itemCell = cells[2];
@@ -272,550 +1519,4630 @@
     itemInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
     itemInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
     itemCell.appendChild(itemInput);
+    itemCell.appendChild(createTagEditor(item, rowElement));
+
+    // Required cell (index 3)
+    const requiredCell = cells[3];
+    const requiredValue = item.required || 'No';
+    requiredCell.innerHTML = '';
+    const requiredSelect = document.createElement('select');
+    requiredSelect.className = 'inline-edit-select';
+    requiredSelect.dataset.field = 'required';
+    REQUIRED_OPTIONS.forEach(opt => {
+      const option = document.createElement('option');
+      option.value = opt;
+      option.textContent = opt;
+      option.selected = opt === requiredValue;
+      requiredSelect.appendChild(option);
+    });
+    requiredSelect.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    requiredSelect.addEventListener('change', (e) => handleFieldBlur(e, item));
+    requiredSelect.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    requiredCell.appendChild(requiredSelect);
+
+    // Status cell (index 4)
+    const statusCell = cells[4];
+    statusCell.innerHTML = '';
+    const statusSelect = document.createElement('select');
+    statusSelect.className = 'inline-edit-select';
+    statusSelect.dataset.field = 'status';
+    statusSelect.setAttribute('aria-label', 'Status');
+    ITEM_STATUSES.forEach(status => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = ITEM_STATUS_LABELS[status];
+      option.selected = status === (item.status || 'idea');
+      statusSelect.appendChild(option);
+    });
+    statusSelect.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    statusSelect.addEventListener('change', (e) => handleFieldBlur(e, item));
+    statusSelect.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    statusCell.appendChild(statusSelect);
+
+    // Unit Cost cell (index 5)
+    const unitCostCell = cells[5];
+    const unitCostValue = item.unitCost !== null && item.unitCost !== undefined ? item.unitCost : '';
+    unitCostCell.innerHTML = '';
+    const unitCostInput = document.createElement('input');
+    unitCostInput.type = 'number';
+    unitCostInput.step = '0.01';
+    unitCostInput.min = '0';
+    unitCostInput.value = unitCostValue;
+    unitCostInput.className = 'inline-edit-input';
+    unitCostInput.dataset.field = 'unitCost';
+    unitCostInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    unitCostInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    unitCostCell.appendChild(unitCostInput);
+
+    // Quantity cell (index 6)
+    const quantityCell = cells[6];
+    const quantityValue = item.quantity !== null && item.quantity !== undefined ? item.quantity : '';
+    quantityCell.innerHTML = '';
+    const quantityInput = document.createElement('input');
+    quantityInput.type = 'number';
+    quantityInput.step = '0.01';
+    quantityInput.min = '0';
+    quantityInput.value = quantityValue;
+    quantityInput.className = 'inline-edit-input';
+    quantityInput.dataset.field = 'quantity';
+    quantityInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    quantityInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+
+    // Per-guest and per-table items replace the quantity with the guest count
+    const basisSelect = document.createElement('select');
+    basisSelect.className = 'inline-edit-select';
+    basisSelect.dataset.field = 'quantityBasis';
+    basisSelect.setAttribute('aria-label', 'Quantity basis');
+    Object.entries(QUANTITY_BASIS_LABELS).forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === (item.quantityBasis || 'fixed');
+      basisSelect.appendChild(option);
+    });
+
+    const perTableInput = document.createElement('input');
+    perTableInput.type = 'number';
+    perTableInput.step = '1';
+    perTableInput.min = '1';
+    perTableInput.value = item.guestsPerTable !== null && item.guestsPerTable !== undefined ? item.guestsPerTable : '';
+    perTableInput.placeholder = `${DEFAULT_GUESTS_PER_TABLE} per table`;
+    perTableInput.className = 'inline-edit-input';
+    perTableInput.dataset.field = 'guestsPerTable';
+    perTableInput.setAttribute('aria-label', 'Guests per table');
+    perTableInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    perTableInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+
+    const showBasisInputs = () => {
+      quantityInput.style.display = basisSelect.value === 'fixed' ? '' : 'none';
+      perTableInput.style.display = basisSelect.value === 'per_table' ? '' : 'none';
+    };
+    basisSelect.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    basisSelect.addEventListener('change', (e) => {
+      showBasisInputs();
+      handleFieldBlur(e, item);
+    });
+    basisSelect.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    showBasisInputs();
+
+    const quantityFields = document.createElement('div');
+    quantityFields.className = 'quantity-edit';
+    quantityFields.appendChild(basisSelect);
+    quantityFields.appendChild(quantityInput);
+    quantityFields.appendChild(perTableInput);
+    quantityCell.appendChild(quantityFields);
+
+    // Subtotal cell (index 7): the item's own rates, with the category defaults as placeholders
+    const subTotalCell = cells[7];
+    const categoryDefaults = categoryRates[item.category] || {};
+    subTotalCell.innerHTML = '';
+    const rateFields = document.createElement('div');
+    rateFields.className = 'rate-edit';
+    RATE_FIELDS.forEach(field => {
+      const rateInput = document.createElement('input');
+      rateInput.type = 'number';
+      rateInput.step = '0.01';
+      rateInput.min = '0';
+      rateInput.value = typeof item[field.key] === 'number' ? item[field.key] : '';
+      rateInput.placeholder = typeof categoryDefaults[field.key] === 'number'
+        ? `${field.label} ${categoryDefaults[field.key]}%`
+        : `${field.label} %`;
+      rateInput.className = 'inline-edit-input';
+      rateInput.dataset.field = field.key;
+      rateInput.setAttribute('aria-label', `${field.label} rate (%)`);
+      rateInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+      rateInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+      rateFields.appendChild(rateInput);
+    });
+    subTotalCell.appendChild(rateFields);
+
+    // Actual Cost cell (index 8)
+    const actualCostCell = cells[8];
+    const actualCostValue = item.actualCost !== null && item.actualCost !== undefined ? item.actualCost : '';
+    actualCostCell.innerHTML = '';
+    const actualCostInput = document.createElement('input');
+    actualCostInput.type = 'number';
+    actualCostInput.step = '0.01';
+    actualCostInput.min = '0';
+    actualCostInput.value = actualCostValue;
+    actualCostInput.placeholder = 'Invoiced';
+    actualCostInput.className = 'inline-edit-input';
+    actualCostInput.dataset.field = 'actualCost';
+    actualCostInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
+    actualCostInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
+    actualCostCell.appendChild(actualCostInput);
+
+    // Update actions column (index 12)
+    const actionsCell = cells[12];
+    actionsCell.innerHTML = '';
+
+    const doneBtn = document.createElement('button');
+    doneBtn.className = 'btn-success';
+    doneBtn.textContent = '✓ Done';
+    doneBtn.setAttribute('aria-label', 'Exit edit mode');
+    doneBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exitEditMode(rowElement, true);
+    });
+
+    actionsCell.appendChild(doneBtn);
+
+    // Editors can still discard a new row they haven't saved yet
+    const isNewItem = typeof item.id === 'string' && item.id.startsWith('new-item-temp-');
+    if (canDeleteItems() || isNewItem) {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleDelete(item.id);
+      });
+      actionsCell.appendChild(deleteBtn);
+    }
+  }
+
+  /**
+   * Handle key presses in edit mode
+   */
+  function handleKeyDown(e, rowElement) {
+    if (e.key === 'Escape') {
+      exitEditMode(rowElement, false);
+    } else if (e.key === 'Enter' && e.target.tagName !== 'SELECT') {
+      e.target.blur();
+    }
+  }
+
+  /**
+   * Handle field blur - auto-save changes
+   */
+  async function handleFieldBlur(e, item) {
+    const input = e.target;
+    const field = input.dataset.field;
+    let newValue = input.value.trim();
+
+    // Convert numeric fields
+    if (NUMERIC_ITEM_FIELDS.includes(field)) {
+      newValue = newValue === '' ? null : parseFloat(newValue);
+    }
+
+    // Check if value actually changed
+    if (item[field] === newValue) {
+      return; // No change, don't save
+    }
+
+    await saveInlineEdit(item, input, field, newValue);
+  }
+
+  /**
+   * Save one edited field: creates a new item once it has a category and
+   * name, otherwise updates the existing row. `input` is the edit control,
+   * reset to the stored value if the save fails.
+   */
+  async function saveInlineEdit(item, input, field, newValue) {
+    const oldValue = item[field];
+
+    // Show saving state
+    const cell = input.closest('td');
+    showCellSaving(cell);
+
+    // Check if this is a new item (temp ID)
+    const isNewItem = typeof item.id === 'string' && item.id.startsWith('new-item-temp-');
+
+    if (isNewItem) {
+      // For new items, we need to create the item first
+      // Update the item object locally
+      item[field] = newValue;
+
+      // Check if we have minimum required fields (category and item name)
+      if (item.category && item.item) {
+        // Create the item in the database
+        const created = await createItem(item);
+        if (created) {
+          // The realtime echo of the insert may have arrived first
+          originalData = originalData.filter(i => i.id !== created.id);
+          // Replace temp item with real item in originalData
+          const index = originalData.findIndex(i => i.id === item.id);
+          if (index !== -1) {
+            originalData[index] = created;
+          }
+          // Update the item reference
+          Object.assign(item, created);
+          recordAction({ type: 'create', itemId: created.id, label: created.item });
+          showCellSaved(cell);
+          applyFilters();
+          renderTable();
+        } else {
+          showCellError(cell);
+        }
+      } else {
+        // Not enough data to create yet, just update locally
+        showCellSaved(cell);
+      }
+    } else {
+      // Existing item - update single field, guarded against concurrent edits
+      const result = await saveFieldWithConflictCheck(item, field, oldValue, newValue);
+
+      if (result.status === 'saved' || result.status === 'theirs') {
+        // Update local data
+        const saved = result.item;
+        item[field] = result.status === 'saved' ? newValue : saved[field];
+        item.updatedAt = saved.updatedAt;
+        const index = originalData.findIndex(i => i.id === item.id);
+        if (index !== -1) {
+          originalData[index] = { ...originalData[index], ...saved };
+        }
+
+        if (result.status === 'saved') {
+          recordAction({ type: 'update', itemId: item.id, field, oldValue, newValue, label: item.item });
+          // Queued writes keep the saving state until they sync
+          if (!offlineStore.getPendingFields(item.id).has(camelToSnake(field))) {
+            showCellSaved(cell);
+          }
+        } else {
+          setInputValue(input, saved[field]);
+          cell.classList.remove('cell-saving');
+        }
+        updateSummary();
+      } else {
+        // Revert on error
+        setInputValue(input, oldValue);
+        showCellError(cell);
+        if (result.status === 'error') {
+          showError(`Failed to update ${field}. Please try again.`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Set an edit input back to a stored value
+   */
+  function setInputValue(input, value) {
+    if (input.classList.contains('tag-editor')) {
+      renderTagEditorChips(input, value);
+      return;
+    }
+    input.value = value !== null && value !== undefined ? value : '';
+  }
+
+  /**
+   * Build the inline tag editor: removable chips plus an input that adds a
+   * tag on Enter or comma (suggesting the workspace's existing tags)
+   */
+  function createTagEditor(item, rowElement) {
+    const editor = document.createElement('div');
+    editor.className = 'tag-editor';
+    editor.dataset.field = 'tags';
+
+    const chips = document.createElement('span');
+    chips.className = 'tag-chips';
+    editor.appendChild(chips);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tag-editor-input';
+    input.placeholder = '+ Tag';
+    input.setAttribute('list', 'tagList');
+    input.setAttribute('aria-label', 'Add a tag');
+    editor.appendChild(input);
+
+    // One save at a time: changes made while a save is in flight are
+    // collected in the chips and sent together once it returns, so each
+    // write carries the updated_at of the one before it
+    let isSaving = false;
+    let hasPendingChanges = false;
+
+    const flushTags = async () => {
+      if (isSaving) {
+        hasPendingChanges = true;
+        return;
+      }
+
+      isSaving = true;
+      try {
+        do {
+          hasPendingChanges = false;
+          const newTags = getTagEditorTags(editor);
+          if (!valuesEqual(normalizeTags(item.tags), newTags)) {
+            await saveInlineEdit(item, editor, 'tags', newTags);
+          }
+        } while (hasPendingChanges);
+      } finally {
+        isSaving = false;
+      }
+    };
+
+    const saveTags = (tags) => {
+      renderTagEditorChips(editor, tags);
+      flushTags();
+    };
+
+    const addTypedTag = () => {
+      const tag = input.value.replace(/,/g, '').trim();
+      input.value = '';
+      if (tag) saveTags([...getTagEditorTags(editor), tag]);
+    };
+
+    input.addEventListener('keydown', (e) => {
+      const tags = getTagEditorTags(editor);
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addTypedTag();
+      } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+        saveTags(tags.slice(0, -1));
+      } else {
+        handleKeyDown(e, rowElement);
+      }
+    });
+    input.addEventListener('blur', addTypedTag);
+
+    chips.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.tag-chip-remove');
+      if (!removeBtn) return;
+      e.stopPropagation();
+      saveTags(getTagEditorTags(editor).filter(tag => tag !== removeBtn.dataset.tag));
+    });
+
+    renderTagEditorChips(editor, item.tags);
+    return editor;
+  }
+
+  /**
+   * Get the tags currently shown in a tag editor
+   */
+  function getTagEditorTags(editor) {
+    return [...editor.querySelectorAll('.tag-chip-remove')].map(button => button.dataset.tag);
+  }
+
+  /**
+   * Show tags as chips in a tag editor, each with a remove button
+   */
+  function renderTagEditorChips(editor, tags) {
+    const chips = editor.querySelector('.tag-chips');
+    chips.innerHTML = '';
+    normalizeTags(tags).forEach(tag => {
+      const chip = createTagChip(tag);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'tag-chip-remove';
+      removeBtn.dataset.tag = tag;
+      removeBtn.textContent = '×';
+      removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+      chip.appendChild(removeBtn);
+      chips.appendChild(chip);
+    });
+  }
+
+  /**
+   * Create a tag chip
+   */
+  function createTagChip(tag) {
+    const chip = document.createElement('span');
+    chip.className = 'tag-chip';
+    chip.textContent = tag;
+    return chip;
+  }
+
+  /**
+   * Save an inline edit conditional on the updated_at the row was loaded with.
+   * If someone else changed the row meanwhile, their edits to other fields are
+   * merged in silently; a clash on this field opens the conflict dialog.
+   * Resolves to { status: 'saved' | 'theirs', item } or { status: 'gone' | 'error' }.
+   */
+  async function saveFieldWithConflictCheck(item, field, oldValue, newValue) {
+    const dbFieldName = camelToSnake(field);
+    let expectedUpdatedAt = item.updatedAt;
+
+    // A few retries in case the row keeps changing under us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const updated = await updateItemField(item.id, dbFieldName, newValue, expectedUpdatedAt);
+      if (!updated) return { status: 'error' };
+      if (!updated.conflict) return { status: 'saved', item: updated };
+
+      const current = await fetchItemById(item.id);
+      if (!current || current.deletedAt) {
+        showError(`"${item.item}" was ${current ? 'moved to the trash' : 'deleted'} by someone else, so your change was not saved.`);
+        return { status: 'gone' };
+      }
+
+      mergeRemoteFieldsIntoEditRow(item, current, field);
+
+      const theyChangedField = !valuesEqual(current[field], oldValue) && !valuesEqual(current[field], newValue);
+      if (theyChangedField) {
+        const choice = await openConflictModal(item, field, newValue, current[field]);
+        if (choice === 'theirs') {
+          return { status: 'theirs', item: current };
+        }
+      }
+      expectedUpdatedAt = current.updatedAt;
+    }
+
+    return { status: 'error' };
+  }
+
+  /**
+   * Copy someone else's changes to other fields into the row being edited, so
+   * the inputs (apart from the focused one) show what is now on the server
+   */
+  function mergeRemoteFieldsIntoEditRow(item, current, exceptField) {
+    getChangedFields(item, current)
+      .filter(field => field !== exceptField)
+      .forEach(field => {
+        item[field] = current[field];
+        if (!isEditingItem(item.id)) return;
+        const input = currentEditingRow.querySelector(`[data-field="${field}"]`);
+        if (input && input !== document.activeElement) {
+          setInputValue(input, current[field]);
+        }
+      });
+  }
+
+  /**
+   * Show the save-conflict dialog; resolves to 'mine' or 'theirs'
+   */
+  function openConflictModal(item, field, mine, theirs) {
+    // Two saves can conflict at once; each waits its turn for the dialog
+    return new Promise(resolve => {
+      conflictQueue.push({ item, field, mine, theirs, resolve });
+      if (conflictQueue.length === 1) {
+        showConflict(conflictQueue[0]);
+      }
+    });
+  }
+
+  /**
+   * Fill in and show the save-conflict dialog for one conflict
+   */
+  function showConflict({ item, field, mine, theirs }) {
+    const formatValue = value => {
+      const text = Array.isArray(value) ? value.join(', ') : value;
+      return text === null || text === undefined || text === '' ? '(empty)' : String(text);
+    };
+    document.getElementById('conflictMessage').textContent =
+      `Someone else changed ${getFieldLabel(field)} on "${item.item}" after you started editing it.`;
+    document.getElementById('conflictMine').textContent = formatValue(mine);
+    document.getElementById('conflictTheirs').textContent = formatValue(theirs);
+    document.getElementById('conflictModal').classList.add('show');
+  }
+
+  /**
+   * Close the save-conflict dialog with the chosen version, then show the
+   * next queued conflict
+   */
+  function closeConflictModal(choice) {
+    document.getElementById('conflictModal').classList.remove('show');
+    const current = conflictQueue.shift();
+    if (current) {
+      current.resolve(choice);
+    }
+    if (conflictQueue.length > 0) {
+      showConflict(conflictQueue[0]);
+    }
+  }
+
+  /**
+   * Column label for an item field, e.g. "Unit Cost" for unitCost
+   */
+  function getFieldLabel(field) {
+    const csvField = CSV_FIELDS.find(f => f.key === field);
+    return csvField ? csvField.label : field.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Convert camelCase to snake_case
+   */
+  function camelToSnake(str) {
+    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  }
+
+  /**
+   * Convert snake_case to camelCase
+   */
+  function snakeToCamel(str) {
+    return str.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+
+  /**
+   * Find an item in the list or the trash by ID
+   */
+  function findLocalItem(id) {
+    return originalData.find(item => item.id === id) || trashedItems.find(item => item.id === id);
+  }
+
+  /**
+   * Queue an item insert in the offline outbox; returns the item with a temporary id
+   */
+  function queueItemCreate(item) {
+    const id = offlineStore.createTempId();
+    offlineStore.enqueue({ type: 'insert', table: 'budget_items', id, values: transformToDb(item) });
+    updateOfflineStatus();
+    syncOutbox();
+    return { ...item, id };
+  }
+
+  /**
+   * Queue a single-field update in the offline outbox; returns the updated local item
+   */
+  function queueItemUpdate(id, field, value) {
+    const local = findLocalItem(id);
+    const camelField = snakeToCamel(field);
+    offlineStore.enqueue({
+      type: 'update',
+      table: 'budget_items',
+      id,
+      field,
+      value,
+      oldValue: local ? local[camelField] : null
+    });
+    updateOfflineStatus();
+    syncOutbox();
+    return { ...(local || { id }), [camelField]: value };
+  }
+
+  /**
+   * Apply writes still waiting in the outbox on top of freshly fetched items
+   */
+  function applyQueuedWrites() {
+    const items = [...originalData, ...trashedItems];
+    offlineStore.getOutbox()
+      .filter(op => op.table === 'budget_items')
+      .forEach(op => {
+        if (op.type === 'insert') {
+          if (op.values.workspace_id !== workspaceId) return;
+          if (!items.some(item => item.id === op.id)) {
+            items.push({ ...transformItem(op.values), id: op.id });
+          }
+          return;
+        }
+        const item = items.find(i => i.id === op.id);
+        if (item) {
+          item[snakeToCamel(op.field)] = op.value;
+        }
+      });
+
+    originalData = items.filter(item => !item.deletedAt);
+    trashedItems = items.filter(item => item.deletedAt);
+  }
+
+  /**
+   * Load the list data from Supabase, or from the device cache while offline
+   */
+  async function loadListData() {
+    if (offlineStore.isOffline()) {
+      const cached = offlineStore.getCache(`list-${workspaceId}`);
+      if (!cached) {
+        showError('You are offline and there is no saved copy of the budget on this device yet.');
+        return;
+      }
+      ({ originalData, trashedItems, budget, categoryAllocations, payments, vendors } = cached);
+      categoryRates = cached.categoryRates || {};
+      savedViews = cached.savedViews || [];
+      guestCount = cached.guestCount !== undefined ? cached.guestCount : null;
+      savedGuestCount = guestCount;
+      scenarios = cached.scenarios || [];
+      scenarioOverrides = cached.scenarioOverrides || [];
+      hasLoadedData = true;
+      return;
+    }
+
+    [
+      originalData,
+      trashedItems,
+      budget,
+      guestCount,
+      categoryAllocations,
+      categoryRates,
+      payments,
+      vendors,
+      scenarios,
+      scenarioOverrides,
+      savedViews
+    ] = await Promise.all([
+      fetchAllItems(),
+      fetchTrashedItems(),
+      fetchBudget(),
+      fetchGuestCount(),
+      fetchCategoryAllocations(),
+      fetchCategoryRates(),
+      fetchAllPayments(),
+      fetchVendors(),
+      fetchScenarios(),
+      fetchScenarioOverrides(),
+      fetchSavedViews()
+    ]);
+    savedGuestCount = guestCount;
+    applyQueuedWrites();
+    hasLoadedData = true;
+  }
+
+  /**
+   * Save the current list data to the device for offline use
+   */
+  function cacheListData() {
+    if (!hasLoadedData) return;
+    offlineStore.setCache(`list-${workspaceId}`, {
+      originalData: getRealItems(),
+      trashedItems,
+      budget,
+      guestCount: savedGuestCount,
+      categoryAllocations,
+      categoryRates,
+      payments,
+      vendors,
+      scenarios,
+      scenarioOverrides,
+      savedViews
+    });
+  }
+
+  /**
+   * Replay queued offline writes, then reload so the list matches the server
+   */
+  async function syncOutbox() {
+    const result = await offlineStore.replay(supabaseClient);
+    updateOfflineStatus();
+    if (!result || (result.applied === 0 && result.skipped.length === 0)) return;
+
+    // Point undo/redo entries at the real ids of items created offline
+    [...undoStack, ...redoStack].forEach(action => {
+      if (result.idMap[action.itemId]) {
+        action.itemId = result.idMap[action.itemId];
+      }
+    });
+    if (currentEditingRow && result.idMap[currentEditingRow.dataset.itemId]) {
+      currentEditingRow = null;
+    }
+
+    // Keep an unsaved new row the user is still filling in
+    const draftRows = originalData.filter(item =>
+      typeof item.id === 'string' && item.id.startsWith('new-item-temp-')
+    );
+    await loadListData();
+    originalData = [...draftRows, ...originalData];
+    populateScenarioSelects();
+    refreshAfterRemoteChange();
+
+    if (result.applied > 0) {
+      showSuccess(`Synced ${result.applied} offline change${result.applied === 1 ? '' : 's'}.`);
+    }
+    if (result.skipped.length > 0) {
+      const reasons = [...new Set(result.skipped.map(op => op.reason))].join('; ');
+      showError(`${result.skipped.length} offline change${result.skipped.length === 1 ? ' was' : 's were'} not applied: ${reasons}.`);
+    }
+  }
+
+  /**
+   * Show or hide the offline banner with the number of queued writes
+   */
+  function updateOfflineStatus() {
+    const banner = document.getElementById('offlineBanner');
+    const pending = offlineStore.getOutbox().length;
+    const pendingText = `${pending} change${pending === 1 ? '' : 's'}`;
+
+    if (offlineStore.isOffline()) {
+      banner.textContent = 'You are offline. Showing the copy saved on this device' +
+        (pending > 0 ? `; ${pendingText} will sync when the connection returns.` : '.');
+      banner.style.display = 'block';
+    } else if (pending > 0) {
+      banner.textContent = `Back online. Syncing ${pendingText}...`;
+      banner.style.display = 'block';
+    } else {
+      banner.style.display = 'none';
+    }
+  }
+
+  /**
+   * Show saving state on a cell
+   */
+  function showCellSaving(cell) {
+    cell.classList.remove('cell-saved', 'cell-error');
+    cell.classList.add('cell-saving');
+  }
+
+  /**
+   * Show saved state on a cell
+   */
+  function showCellSaved(cell) {
+    cell.classList.remove('cell-saving', 'cell-error');
+    cell.classList.add('cell-saved');
+    setTimeout(() => {
+      cell.classList.remove('cell-saved');
+    }, 2000);
+  }
+
+  /**
+   * Show error state on a cell
+   */
+  function showCellError(cell) {
+    cell.classList.remove('cell-saving', 'cell-saved');
+    cell.classList.add('cell-error');
+    setTimeout(() => {
+      cell.classList.remove('cell-error');
+    }, 3000);
+  }
+
+  /**
+   * Exit edit mode for a table row
+   */
+  function exitEditMode(rowElement, save) {
+    if (!rowElement) return;
+
+    rowElement.classList.remove('row-editing');
+    currentEditingRow = null;
+    editingItemBackup = null;
+
+    // Re-render the entire table to restore normal view
+    renderTable();
+  }
+
+  /**
+   * Add a new blank item row at the top of the table
+   */
+  function addNewItemRow() {
+    // Check if there's already a new item row
+    const hasNewItem = originalData.some(item =>
+      typeof item.id === 'string' && item.id.startsWith('new-item-temp-')
+    );
+
+    if (hasNewItem) {
+      showError('Please complete or delete the existing new item first.');
+      return;
+    }
+
+    // New items are filled in as a table row
+    if (listLayout.view === 'board') {
+      setListLayout('table');
+    }
+
+    // Create a new temporary item
+    const newItem = {
+      id: `new-item-temp-${Date.now()}`,
+      category: '',
+      item: '',
+      required: 'No',
+      status: 'idea',
+      notes: '',
+      tags: [],
+      position: getRealItems().reduce((min, item) => Math.min(min, getItemPosition(item)), 1) - 1,
+      unitCost: null,
+      quantity: null,
+      quantityBasis: 'fixed',
+      guestsPerTable: null,
+      subTotal: null,
+      mdContent: ''
+    };
+
+    // Add to the beginning of originalData
+    originalData.unshift(newItem);
+
+    // Reapply filters and render
+    applyFilters();
+    renderTable();
+
+    // Automatically enter edit mode for the new row
+    const tbody = document.querySelector('#dataTable tbody');
+    const firstRow = tbody.querySelector('tr');
+    if (firstRow) {
+      enterEditMode(firstRow, newItem);
+      // Focus on the category input
+      const categoryInput = firstRow.querySelector('input[data-field="category"]');
+      if (categoryInput) {
+        categoryInput.focus();
+      }
+    }
+  }
+
+  /**
+   * Handle delete button click
+   */
+  async function handleDelete(id) {
+    // Check if this is a temp new item
+    const isNewItem = typeof id === 'string' && id.startsWith('new-item-temp-');
+
+    if (isNewItem) {
+      // Just remove from local array, no API call needed
+      originalData = originalData.filter(item => item.id !== id);
+      applyFilters();
+      renderTable();
+      return;
+    }
+
+    // Soft delete: the item can be restored from the trash
+    const trashed = await trashItemLocally(id);
+    if (trashed) {
+      recordAction({ type: 'delete', itemId: id, label: trashed.item });
+      showSuccess(`"${trashed.item}" moved to the trash. Press Ctrl+Z to undo.`);
+    }
+  }
+
+  /**
+   * Trash an item and move it from originalData to trashedItems
+   */
+  async function trashItemLocally(id) {
+    const trashed = await setItemTrashed(id, true);
+    if (trashed) {
+      originalData = originalData.filter(item => item.id !== id);
+      trashedItems = [trashed, ...trashedItems.filter(item => item.id !== id)];
+      currentEditingRow = null;
+      applyFilters();
+      renderTable();
+      updateTrashCount();
+    }
+    return trashed;
+  }
+
+  /**
+   * Restore an item from the trash and move it back into originalData
+   */
+  async function restoreItemLocally(id) {
+    const restored = await setItemTrashed(id, false);
+    if (restored) {
+      trashedItems = trashedItems.filter(item => item.id !== id);
+      originalData = [...originalData.filter(item => item.id !== id), restored];
+      applyFilters();
+      renderTable();
+      updateTrashCount();
+    }
+    return restored;
+  }
+
+  /**
+   * Push an action onto the undo stack (clears the redo stack). Creates and
+   * deletes are only recorded for owners: undoing or redoing them moves the
+   * item in or out of the trash, which editors can't do.
+   */
+  function recordAction(action) {
+    if (isApplyingHistory) return;
+    if ((action.type === 'create' || action.type === 'delete') && !canDeleteItems()) return;
+    undoStack.push(action);
+    if (undoStack.length > MAX_UNDO_STEPS) {
+      undoStack.shift();
+    }
+    redoStack = [];
+    updateUndoButtons();
+  }
+
+  /**
+   * Apply an action forwards (redo) or backwards (undo) with the
+   * compensating Supabase write. Returns true on success.
+   */
+  async function applyHistoryAction(action, isUndo) {
+    if (action.type === 'update') {
+      const value = isUndo ? action.oldValue : action.newValue;
+      const expected = isUndo ? action.newValue : action.oldValue;
+      const item = originalData.find(i => i.id === action.itemId);
+      if (!item) {
+        showError(`"${action.label}" is no longer in the list, so this change can't be ${isUndo ? 'undone' : 'redone'}.`);
+        return false;
+      }
+
+      // Conditional like any other save, so a newer edit by someone else isn't lost silently
+      const result = await saveFieldWithConflictCheck(item, action.field, expected, value);
+      if (result.status === 'error') {
+        showError(`Failed to ${isUndo ? 'undo' : 'redo'} the change. Please try again.`);
+      }
+      if (result.status !== 'saved' && result.status !== 'theirs') return false;
+
+      item[action.field] = result.status === 'saved' ? value : result.item[action.field];
+      item.updatedAt = result.item.updatedAt;
+      currentEditingRow = null;
+      applyFilters();
+      renderTable();
+      // Keeping their version leaves the step where it was
+      return result.status === 'saved';
+    }
+
+    // Undoing a create or redoing a delete trashes the item; the reverse restores it
+    const shouldTrash = (action.type === 'create') === isUndo;
+    if (!canDeleteItems()) {
+      showError('Only the workspace owner can move items to and from the trash.');
+      return false;
+    }
+    const result = shouldTrash
+      ? await trashItemLocally(action.itemId)
+      : await restoreItemLocally(action.itemId);
+    return Boolean(result);
+  }
+
+  /**
+   * Describe an action for the undo/redo confirmation banner
+   */
+  function describeAction(action) {
+    if (action.type === 'create') return `creation of "${action.label}"`;
+    if (action.type === 'delete') return `deletion of "${action.label}"`;
+    return `${action.field} change on "${action.label}"`;
+  }
+
+  /**
+   * Undo the most recent action
+   */
+  async function undo() {
+    if (isApplyingHistory || undoStack.length === 0) return;
+    const action = undoStack.pop();
+
+    isApplyingHistory = true;
+    const success = await applyHistoryAction(action, true);
+    isApplyingHistory = false;
+
+    if (success) {
+      redoStack.push(action);
+      showSuccess(`Undid ${describeAction(action)}.`);
+    } else {
+      undoStack.push(action);
+    }
+    updateUndoButtons();
+  }
+
+  /**
+   * Redo the most recently undone action
+   */
+  async function redo() {
+    if (isApplyingHistory || redoStack.length === 0) return;
+    const action = redoStack.pop();
+
+    isApplyingHistory = true;
+    const success = await applyHistoryAction(action, false);
+    isApplyingHistory = false;
+
+    if (success) {
+      undoStack.push(action);
+      showSuccess(`Redid ${describeAction(action)}.`);
+    } else {
+      redoStack.push(action);
+    }
+    updateUndoButtons();
+  }
+
+  /**
+   * Enable/disable the undo and redo buttons
+   */
+  function updateUndoButtons() {
+    document.getElementById('undoBtn').disabled = undoStack.length === 0;
+    document.getElementById('redoBtn').disabled = redoStack.length === 0;
+  }
+
+  /**
+   * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Text inputs keep the
+   * browser's native undo so typing can still be undone in place.
+   */
+  function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    const target = e.target;
+    if (target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'file'].includes(target.type))) {
+      return;
+    }
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+  }
+
+  /**
+   * Subscribe to budget_items changes so edits from other browsers show up live
+   */
+  function subscribeToItemChanges() {
+    supabaseClient
+      .channel(`budget-items-changes-${workspaceId}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'budget_items',
+        filter: `workspace_id=eq.${workspaceId}`
+      }, handleRemoteChange)
+      .subscribe((status) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('Realtime subscription failed:', status);
+        }
+      });
+  }
+
+  /**
+   * Compare two field values, treating null, undefined and '' as equal and
+   * numbers and numeric strings by value
+   */
+  function valuesEqual(a, b) {
+    const isEmptyA = a === null || a === undefined || a === '';
+    const isEmptyB = b === null || b === undefined || b === '';
+    if (isEmptyA || isEmptyB) return isEmptyA === isEmptyB;
+    return String(a) === String(b);
+  }
+
+  /**
+   * List the fields that differ between the local and remote copy of an item
+   * (updatedAt is bookkeeping and not reported)
+   */
+  function getChangedFields(local, remote) {
+    return Object.keys(remote).filter(field =>
+      field !== 'updatedAt' && !valuesEqual(local[field], remote[field])
+    );
+  }
+
+  /**
+   * Check whether the given item is the row currently in edit mode
+   */
+  function isEditingItem(id) {
+    return Boolean(currentEditingRow) && currentEditingRow.dataset.itemId === String(id);
+  }
+
+  /**
+   * Merge an insert/update/delete from another browser into the local data
+   */
+  function handleRemoteChange(payload) {
+    if (payload.eventType === 'DELETE') {
+      handleRemoteDelete(payload.old.id);
+      return;
+    }
+
+    const remote = transformItem(payload.new);
+    const local = originalData.find(item => item.id === remote.id) ||
+      trashedItems.find(item => item.id === remote.id);
+
+    // Our own writes echo back, possibly before their response has updated
+    // the local item: skip versions we wrote and fields we're still writing
+    const versionKey = `${remote.id}@${payload.new.updated_at}`;
+    if (ownWriteVersions.delete(versionKey) && local) return;
+    const writing = inFlightFields.get(remote.id) || new Map();
+    const changedFields = local
+      ? getChangedFields(local, remote).filter(field => !writing.has(camelToSnake(field)))
+      : [];
+    if (local && changedFields.length === 0) return;
+
+    originalData = originalData.filter(item => item.id !== remote.id);
+    trashedItems = trashedItems.filter(item => item.id !== remote.id);
+    if (remote.deletedAt) {
+      trashedItems.unshift(remote);
+    } else {
+      originalData.push(remote);
+      highlightRemoteChange(remote.id);
+    }
+
+    if (isEditingItem(remote.id)) {
+      if (remote.deletedAt) {
+        currentEditingRow = null;
+        showError(`"${remote.item}" was moved to the trash by someone else while you were editing it.`);
+      } else {
+        currentEditingRow.classList.add('row-remote-change');
+        showError(`Someone else just changed ${changedFields.map(getFieldLabel).join(', ')} on "${remote.item}" while you were editing it. ` +
+          'Your edits to other fields still save; editing one of these asks which version to keep. Press Esc to see their version.');
+      }
+    }
+
+    refreshAfterRemoteChange();
+  }
+
+  /**
+   * Drop an item that another browser permanently deleted
+   */
+  function handleRemoteDelete(id) {
+    const known = originalData.some(item => item.id === id) || trashedItems.some(item => item.id === id);
+    if (!known) return;
+
+    const deleted = originalData.find(item => item.id === id);
+    originalData = originalData.filter(item => item.id !== id);
+    trashedItems = trashedItems.filter(item => item.id !== id);
+    payments = payments.filter(payment => payment.itemId !== id);
+    undoStack = undoStack.filter(action => action.itemId !== id);
+    redoStack = redoStack.filter(action => action.itemId !== id);
+    updateUndoButtons();
+
+    if (isEditingItem(id)) {
+      currentEditingRow = null;
+      showError(`"${deleted ? deleted.item : 'This item'}" was deleted by someone else while you were editing it.`);
+    }
+
+    refreshAfterRemoteChange();
+  }
+
+  /**
+   * Re-render after a remote change. While a row is being edited the table is
+   * left alone so the inputs survive; exitEditMode() re-renders with the merged data.
+   */
+  function refreshAfterRemoteChange() {
+    applyFilters();
+    if (currentEditingRow) {
+      updateSummary();
+    } else {
+      renderTable();
+    }
+    updateTrashCount();
+    if (document.getElementById('trashModal').classList.contains('show')) {
+      renderTrash();
+    }
+  }
+
+  /**
+   * Briefly highlight a row changed by another browser
+   */
+  function highlightRemoteChange(id) {
+    remoteHighlightIds.add(id);
+    setTimeout(() => {
+      remoteHighlightIds.delete(id);
+      const row = document.querySelector(`#dataTable tbody tr[data-item-id="${id}"]`);
+      if (row) {
+        row.classList.remove('row-remote-change');
+      }
+    }, REMOTE_HIGHLIGHT_MS);
+  }
+
+  /**
+   * Update the item count on the Trash button
+   */
+  function updateTrashCount() {
+    document.getElementById('trashCount').textContent = trashedItems.length;
+  }
+
+  /**
+   * Open the trash modal
+   */
+  function openTrashModal() {
+    renderTrash();
+    document.getElementById('trashModal').classList.add('show');
+  }
+
+  /**
+   * Close the trash modal
+   */
+  function closeTrashModal() {
+    document.getElementById('trashModal').classList.remove('show');
+  }
+
+  /**
+   * Render the trashed items with restore and purge actions
+   */
+  function renderTrash() {
+    const tbody = document.querySelector('#trashTable tbody');
+    tbody.innerHTML = '';
+    document.getElementById('emptyTrashBtn').disabled = trashedItems.length === 0;
+
+    if (trashedItems.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 2rem; color: #6e6e73;">The trash is empty.</td></tr>';
+      return;
+    }
+
+    trashedItems.forEach(item => {
+      const tr = document.createElement('tr');
+
+      const tdCategory = document.createElement('td');
+      tdCategory.textContent = item.category || '';
+
+      const tdItem = document.createElement('td');
+      tdItem.textContent = item.item || '';
+
+      const tdSubTotal = document.createElement('td');
+      tdSubTotal.textContent = formatCurrency(calculateSubTotal(item));
+
+      const tdTrashed = document.createElement('td');
+      tdTrashed.textContent = new Date(item.deletedAt).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+
+      const tdActions = document.createElement('td');
+      tdActions.className = 'action-buttons';
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn-success';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => handleRestoreFromTrash(item.id));
+
+      const purgeBtn = document.createElement('button');
+      purgeBtn.className = 'btn-danger';
+      purgeBtn.textContent = 'Delete Forever';
+      purgeBtn.addEventListener('click', () => handlePurge([item.id]));
+
+      tdActions.appendChild(restoreBtn);
+      tdActions.appendChild(purgeBtn);
+
+      tr.appendChild(tdCategory);
+      tr.appendChild(tdItem);
+      tr.appendChild(tdSubTotal);
+      tr.appendChild(tdTrashed);
+      tr.appendChild(tdActions);
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Restore a trashed item back into the list
+   */
+  async function handleRestoreFromTrash(id) {
+    const restored = await restoreItemLocally(id);
+    if (restored) {
+      renderTrash();
+      showSuccess(`"${restored.item}" restored.`);
+    }
+  }
+
+  /**
+   * Permanently delete trashed items (and, via cascade, their payments)
+   */
+  async function handlePurge(ids) {
+    const message = ids.length === 1
+      ? 'Permanently delete this item and its payments? This action cannot be undone.'
+      : `Permanently delete all ${ids.length} trashed items and their payments? This action cannot be undone.`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    let purgedCount = 0;
+    for (const id of ids) {
+      const success = await deleteItem(id);
+      if (!success) break;
+      trashedItems = trashedItems.filter(item => item.id !== id);
+      payments = payments.filter(payment => payment.itemId !== id);
+      // Purged items can't be restored, so drop their undo/redo entries
+      undoStack = undoStack.filter(action => action.itemId !== id);
+      redoStack = redoStack.filter(action => action.itemId !== id);
+      purgedCount++;
+    }
+
+    renderTrash();
+    updateTrashCount();
+    updateUndoButtons();
+    if (purgedCount > 0) {
+      showSuccess(`Permanently deleted ${purgedCount} item${purgedCount === 1 ? '' : 's'}.`);
+    }
+  }
+
+  /**
+   * Open the share modal listing members and pending invites
+   */
+  function openMembersModal() {
+    document.getElementById('inviteEmail').value = '';
+    document.getElementById('membersModal').classList.add('show');
+    renderMembers();
+  }
+
+  /**
+   * Close the share modal
+   */
+  function closeMembersModal() {
+    document.getElementById('membersModal').classList.remove('show');
+  }
+
+  /**
+   * Render workspace members and pending invites. Owners get a role select
+   * and a remove button for everyone but themselves.
+   */
+  async function renderMembers() {
+    const list = document.getElementById('membersList');
+    list.innerHTML = '<li class="history-empty">Loading...</li>';
+
+    const [members, invites] = await Promise.all([fetchWorkspaceMembers(), fetchPendingInvites()]);
+    if (!members || !invites) {
+      list.innerHTML = '<li class="history-empty">Could not load members.</li>';
+      return;
+    }
+
+    const entries = [
+      ...members.map(member => ({ userId: member.user_id, email: member.email, role: member.role })),
+      ...invites.map(invite => ({ inviteId: invite.id, email: invite.email, role: invite.role }))
+    ];
+    const isOwner = canDeleteItems();
+
+    list.innerHTML = '';
+    entries.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'member-entry';
+      const isSelf = entry.userId === currentUser.id;
+
+      const email = document.createElement('span');
+      email.textContent = entry.email || '(no email)';
+      li.appendChild(email);
+
+      const status = document.createElement('span');
+      status.className = 'member-status';
+      status.textContent = isSelf ? 'You' : (entry.inviteId ? 'Invited' : '');
+      li.appendChild(status);
+
+      // Pending invites keep the role they were sent with
+      if (isOwner && entry.userId && !isSelf) {
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'member-role-select';
+        roleSelect.setAttribute('aria-label', `Role for ${entry.email}`);
+        Object.entries(workspaceAuth.ROLE_LABELS).forEach(([role, label]) => {
+          const option = document.createElement('option');
+          option.value = role;
+          option.textContent = label;
+          roleSelect.appendChild(option);
+        });
+        roleSelect.value = entry.role;
+        roleSelect.addEventListener('change', () => handleRoleChange(entry, roleSelect));
+        li.appendChild(roleSelect);
+      } else {
+        const role = document.createElement('span');
+        role.className = 'member-role';
+        role.textContent = workspaceAuth.ROLE_LABELS[entry.role] || entry.role;
+        li.appendChild(role);
+      }
+
+      // Leaving your own workspace is done by another owner
+      if (isOwner && !isSelf) {
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn-danger btn-small';
+        removeBtn.textContent = entry.userId ? 'Remove' : 'Cancel Invite';
+        removeBtn.addEventListener('click', () => handleRemoveAccess(entry));
+        li.appendChild(removeBtn);
+      }
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * Handle the invite form submission
+   */
+  async function handleInviteSubmit(e) {
+    e.preventDefault();
+    const input = document.getElementById('inviteEmail');
+    const email = input.value.trim();
+    if (!email) return;
+
+    const submitBtn = document.getElementById('inviteSubmitBtn');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Sending...';
+
+    const invited = await createInvite(email, document.getElementById('inviteRole').value);
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Send Invite';
+
+    if (invited) {
+      input.value = '';
+      renderMembers();
+      showSuccess(`Invite sent to ${email}.`);
+    }
+  }
+
+  /**
+   * Save a member's new role, reverting the select if the change fails
+   */
+  async function handleRoleChange(entry, select) {
+    select.disabled = true;
+    const updated = await updateMemberRole(entry.userId, select.value);
+    select.disabled = false;
+
+    if (updated) {
+      entry.role = select.value;
+      showSuccess(`${entry.email} is now ${workspaceAuth.ROLE_LABELS[entry.role].toLowerCase()}.`);
+    } else {
+      select.value = entry.role;
+    }
+  }
+
+  /**
+   * Remove a member or cancel an invite after confirmation
+   */
+  async function handleRemoveAccess(entry) {
+    const message = entry.userId
+      ? `Remove ${entry.email} from this workspace? They will lose access to the budget.`
+      : `Cancel the invite for ${entry.email}?`;
+    if (!confirm(message)) {
+      return;
+    }
+
+    if (await removeWorkspaceAccess(entry)) {
+      renderMembers();
+    }
+  }
+
+  /**
+   * Get a scenario's override for an item, or null if the item is at baseline
+   */
+  function getScenarioOverride(scenarioId, itemId) {
+    return scenarioOverrides.find(o => o.scenarioId === scenarioId && o.itemId === itemId) || null;
+  }
+
+  /**
+   * Calculate an item's subtotal under a scenario (null scenario = baseline)
+   */
+  function calculateScenarioSubTotal(item, scenarioId) {
+    const override = scenarioId === null ? null : getScenarioOverride(scenarioId, item.id);
+    if (!override) return calculateSubTotal(item);
+    if (override.excluded) return 0;
+    if (override.unitCost === null && override.quantity === null) return calculateSubTotal(item);
+
+    const baseQty = getEffectiveQuantity(item);
+    let cost = override.unitCost;
+    if (cost === null) {
+      if (typeof item.unitCost === 'number') {
+        cost = item.unitCost;
+      } else {
+        // Lump-sum item (subtotal only): scale its per-unit share
+        if (baseQty === 0) return calculateSubTotal(item);
+        cost = calculateSubTotal(item) / baseQty;
+      }
+    }
+    const qty = override.quantity !== null ? override.quantity : baseQty;
+    return cost * qty;
+  }
+
+  /**
+   * An item's cost under a scenario, including tax and fees
+   */
+  function calculateScenarioItemTotal(item, scenarioId) {
+    return calculateCharges(item, calculateScenarioSubTotal(item, scenarioId)).total;
+  }
+
+  /**
+   * Total estimated cost, with tax and fees, under a scenario (null scenario = baseline)
+   */
+  function calculateScenarioTotal(scenarioId) {
+    const total = getRealItems().reduce((sum, item) => sum + calculateScenarioItemTotal(item, scenarioId), 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Look up a scenario by id
+   */
+  function findScenario(id) {
+    return scenarios.find(scenario => scenario.id === id) || null;
+  }
+
+  /**
+   * Show the active scenario's totals under the baseline metric cards
+   */
+  function updateScenarioMetrics(baselineTotal) {
+    const totalEl = document.getElementById('scenarioTotalCost');
+    const remainingEl = document.getElementById('scenarioRemaining');
+    const percentageEl = document.getElementById('scenarioPercentage');
+    const scenario = findScenario(activeScenarioId);
+
+    if (!scenario) {
+      [totalEl, remainingEl, percentageEl].forEach(el => {
+        el.textContent = '';
+      });
+      return;
+    }
+
+    const total = calculateScenarioTotal(scenario.id);
+    const difference = Math.round((total - baselineTotal) * 100) / 100;
+    const remaining = budget - total;
+    const percentage = budget > 0 ? (total / budget) * 100 : 0;
+
+    totalEl.textContent = `${scenario.name}: ${formatCurrency(total)} (${formatVariance(difference)})`;
+    remainingEl.textContent = `${scenario.name}: ${remaining < 0 ? '-' : ''}${formatCurrency(Math.abs(remaining))}`;
+    percentageEl.textContent = `${scenario.name}: ${percentage.toFixed(1)}%`;
+  }
+
+  /**
+   * Fill the scenario pickers (metric cards and editor) from the scenario list
+   */
+  function populateScenarioSelects() {
+    const select = document.getElementById('scenarioSelect');
+    select.innerHTML = '<option value="">Baseline only</option>';
+    scenarios.forEach(scenario => {
+      const option = document.createElement('option');
+      option.value = scenario.id;
+      option.textContent = scenario.name;
+      select.appendChild(option);
+    });
+    select.value = findScenario(activeScenarioId) ? activeScenarioId : '';
+
+    const editSelect = document.getElementById('scenarioEditSelect');
+    editSelect.innerHTML = '';
+    scenarios.forEach(scenario => {
+      const option = document.createElement('option');
+      option.value = scenario.id;
+      option.textContent = scenario.name;
+      editSelect.appendChild(option);
+    });
+    editSelect.value = editingScenarioId || '';
+    editSelect.disabled = scenarios.length === 0;
+
+    document.getElementById('compareScenariosBtn').disabled = scenarios.length === 0;
+  }
+
+  /**
+   * Show a scenario (or none) next to the baseline in the metric cards
+   */
+  function setActiveScenario(id) {
+    activeScenarioId = findScenario(id) ? id : null;
+    const key = `${ACTIVE_SCENARIO_KEY}.${workspaceId}`;
+    if (activeScenarioId) {
+      localStorage.setItem(key, activeScenarioId);
+    } else {
+      localStorage.removeItem(key);
+    }
+    document.getElementById('scenarioSelect').value = activeScenarioId || '';
+    updateMetrics();
+  }
+
+  /**
+   * Open the scenario editor on the active scenario (or the first one)
+   */
+  function openScenariosModal() {
+    if (!findScenario(editingScenarioId)) {
+      editingScenarioId = activeScenarioId || (scenarios.length > 0 ? scenarios[0].id : null);
+    }
+    populateScenarioSelects();
+    renderScenarioItems();
+    document.getElementById('scenariosModal').classList.add('show');
+  }
+
+  /**
+   * Close the scenario editor
+   */
+  function closeScenariosModal() {
+    document.getElementById('scenariosModal').classList.remove('show');
+  }
+
+  /**
+   * Render every item with its override inputs for the scenario being edited
+   */
+  function renderScenarioItems() {
+    const tbody = document.querySelector('#scenarioItemsTable tbody');
+    const summary = document.getElementById('scenarioEditSummary');
+    const scenario = findScenario(editingScenarioId);
+    tbody.innerHTML = '';
+
+    // Editors create scenarios; only owners delete them
+    document.getElementById('newScenarioForm').style.display = canEditItems() ? 'flex' : 'none';
+    document.getElementById('deleteScenarioBtn').style.display = canDeleteItems() && scenario ? '' : 'none';
+
+    if (!scenario) {
+      summary.textContent = 'No scenarios yet. Create one to try out changes without touching the budget.';
+      return;
+    }
+
+    updateScenarioEditSummary();
+
+    const items = [...getRealItems()].sort((a, b) =>
+      (a.category || '').localeCompare(b.category || '') || (a.item || '').localeCompare(b.item || '')
+    );
+
+    items.forEach(item => {
+      const override = getScenarioOverride(scenario.id, item.id);
+      // Items created offline can't be referenced until they sync
+      const editable = canEditItems() && !offlineStore.isTempId(item.id);
+
+      const tr = document.createElement('tr');
+      tr.dataset.itemId = item.id;
+
+      const tdInclude = document.createElement('td');
+      const includeInput = document.createElement('input');
+      includeInput.type = 'checkbox';
+      includeInput.checked = !(override && override.excluded);
+      includeInput.disabled = !editable;
+      includeInput.setAttribute('aria-label', `Include ${item.item}`);
+      tdInclude.appendChild(includeInput);
+
+      const tdCategory = document.createElement('td');
+      tdCategory.textContent = item.category || '';
+
+      const tdItem = document.createElement('td');
+      tdItem.textContent = item.item || '';
+
+      const tdUnitCost = document.createElement('td');
+      const unitCostInput = document.createElement('input');
+      unitCostInput.type = 'number';
+      unitCostInput.step = '0.01';
+      unitCostInput.min = '0';
+      unitCostInput.className = 'inline-edit-input';
+      unitCostInput.placeholder = typeof item.unitCost === 'number' ? formatCurrency(item.unitCost, true) : '';
+      unitCostInput.value = override && override.unitCost !== null ? override.unitCost : '';
+      unitCostInput.disabled = !editable;
+      unitCostInput.setAttribute('aria-label', `Scenario unit cost for ${item.item}`);
+      tdUnitCost.appendChild(unitCostInput);
+
+      const tdQuantity = document.createElement('td');
+      const quantityInput = document.createElement('input');
+      quantityInput.type = 'number';
+      quantityInput.step = '1';
+      quantityInput.min = '0';
+      quantityInput.className = 'inline-edit-input';
+      quantityInput.placeholder = getEffectiveQuantity(item);
+      quantityInput.value = override && override.quantity !== null ? override.quantity : '';
+      quantityInput.disabled = !editable;
+      quantityInput.setAttribute('aria-label', `Scenario quantity for ${item.item}`);
+      tdQuantity.appendChild(quantityInput);
+
+      const tdBaseline = document.createElement('td');
+      tdBaseline.textContent = formatCurrency(calculateItemTotal(item));
+
+      const tdScenario = document.createElement('td');
+      tdScenario.className = 'scenario-subtotal';
+
+      [includeInput, unitCostInput, quantityInput].forEach(input => {
+        input.addEventListener('change', () => handleScenarioOverrideChange(item, tr));
+      });
+
+      tr.appendChild(tdInclude);
+      tr.appendChild(tdCategory);
+      tr.appendChild(tdItem);
+      tr.appendChild(tdUnitCost);
+      tr.appendChild(tdQuantity);
+      tr.appendChild(tdBaseline);
+      tr.appendChild(tdScenario);
+      updateScenarioRow(item, tr);
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Refresh one editor row's scenario subtotal and highlight
+   */
+  function updateScenarioRow(item, tr) {
+    const override = getScenarioOverride(editingScenarioId, item.id);
+    tr.classList.toggle('scenario-row-changed', Boolean(override));
+    tr.classList.toggle('scenario-row-excluded', Boolean(override && override.excluded));
+    tr.querySelector('.scenario-subtotal').textContent =
+      formatCurrency(calculateScenarioItemTotal(item, editingScenarioId));
+  }
+
+  /**
+   * Summarize the scenario being edited against the baseline
+   */
+  function updateScenarioEditSummary() {
+    const baseline = calculateScenarioTotal(null);
+    const total = calculateScenarioTotal(editingScenarioId);
+    const changedCount = scenarioOverrides.filter(o => o.scenarioId === editingScenarioId).length;
+    document.getElementById('scenarioEditSummary').textContent =
+      `${changedCount} item${changedCount === 1 ? '' : 's'} changed · ` +
+      `Scenario ${formatCurrency(total)} vs baseline ${formatCurrency(baseline)} ` +
+      `(${formatVariance(Math.round((total - baseline) * 100) / 100)}). Leave a field empty to keep the baseline value.`;
+  }
+
+  /**
+   * Save the override inputs of an editor row, clearing the override when
+   * the row is back at baseline
+   */
+  async function handleScenarioOverrideChange(item, tr) {
+    const scenarioId = editingScenarioId;
+    const inputs = tr.querySelectorAll('input');
+    const included = inputs[0].checked;
+    const unitCost = inputs[1].value === '' ? null : parseFloat(inputs[1].value);
+    const quantity = inputs[2].value === '' ? null : parseFloat(inputs[2].value);
+
+    if ((unitCost !== null && (isNaN(unitCost) || unitCost < 0)) ||
+        (quantity !== null && (isNaN(quantity) || quantity < 0))) {
+      showError('Scenario costs and quantities must be zero or more.');
+      renderScenarioItems();
+      return;
+    }
+
+    const override = included && unitCost === null && quantity === null
+      ? null
+      : { scenarioId, itemId: item.id, unitCost, quantity, excluded: !included };
+
+    inputs.forEach(input => {
+      input.disabled = true;
+    });
+    const saved = await saveScenarioOverride(scenarioId, item.id, override);
+    inputs.forEach(input => {
+      input.disabled = false;
+    });
+
+    if (!saved) {
+      showError(`Failed to update "${item.item}" in the scenario. Please try again.`);
+      renderScenarioItems();
+      return;
+    }
+
+    scenarioOverrides = scenarioOverrides.filter(o => !(o.scenarioId === scenarioId && o.itemId === item.id));
+    if (override) {
+      scenarioOverrides.push(override);
+    }
+
+    if (scenarioId === editingScenarioId) {
+      updateScenarioRow(item, tr);
+      updateScenarioEditSummary();
+    }
+    updateMetrics();
+  }
+
+  /**
+   * Create a scenario from the editor's name input and start editing it
+   */
+  async function handleNewScenario(e) {
+    e.preventDefault();
+    const input = document.getElementById('newScenarioName');
+    const name = input.value.trim();
+    if (!name) return;
+
+    const scenario = await createScenario(name);
+    if (!scenario) return;
+
+    input.value = '';
+    scenarios.push(scenario);
+    editingScenarioId = scenario.id;
+    populateScenarioSelects();
+    renderScenarioItems();
+    setActiveScenario(scenario.id);
+    showSuccess(`Scenario "${scenario.name}" created.`);
+  }
+
+  /**
+   * Delete the scenario being edited after confirmation
+   */
+  async function handleDeleteScenario() {
+    const scenario = findScenario(editingScenarioId);
+    if (!scenario || !confirm(`Delete the scenario "${scenario.name}"? The baseline budget is not affected.`)) {
+      return;
+    }
+
+    if (!(await deleteScenario(scenario.id))) return;
+
+    scenarios = scenarios.filter(s => s.id !== scenario.id);
+    scenarioOverrides = scenarioOverrides.filter(o => o.scenarioId !== scenario.id);
+    editingScenarioId = scenarios.length > 0 ? scenarios[0].id : null;
+    populateScenarioSelects();
+    renderScenarioItems();
+    if (activeScenarioId === scenario.id) {
+      setActiveScenario(null);
+    } else {
+      updateMetrics();
+    }
+    showSuccess(`Scenario "${scenario.name}" deleted.`);
+  }
+
+  /**
+   * Open the side-by-side comparison of the baseline and every scenario
+   */
+  function openScenarioCompareModal() {
+    renderScenarioComparison();
+    document.getElementById('scenarioCompareModal').classList.add('show');
+  }
+
+  /**
+   * Close the scenario comparison
+   */
+  function closeScenarioCompareModal() {
+    document.getElementById('scenarioCompareModal').classList.remove('show');
+  }
+
+  /**
+   * Render category totals for the baseline and each scenario, with totals,
+   * budget remaining and the number of changed items
+   */
+  function renderScenarioComparison() {
+    const table = document.getElementById('scenarioCompareTable');
+    const thead = table.querySelector('thead');
+    const tbody = table.querySelector('tbody');
+    const items = getRealItems();
+    const columns = [{ id: null, name: 'Baseline' }, ...scenarios];
+    const categories = [...new Set(items.map(item => item.category || 'Uncategorized'))].sort();
+
+    thead.innerHTML = '';
+    const headerRow = document.createElement('tr');
+    ['Category', ...columns.map(column => column.name)].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+
+    // One cell per column: the amount, plus its difference from the baseline
+    const appendRow = (label, valueFor, className, formatValue = formatCurrency) => {
+      const tr = document.createElement('tr');
+      if (className) tr.className = className;
+
+      const tdLabel = document.createElement('td');
+      tdLabel.textContent = label;
+      tr.appendChild(tdLabel);
+
+      const baselineValue = valueFor(null);
+      columns.forEach(column => {
+        const value = valueFor(column.id);
+        const td = document.createElement('td');
+        td.textContent = formatValue(value);
+
+        const difference = Math.round((value - baselineValue) * 100) / 100;
+        if (column.id !== null && difference !== 0) {
+          const diff = document.createElement('span');
+          diff.className = `scenario-diff ${getVarianceStatus(difference)}`;
+          diff.textContent = formatVariance(difference);
+          td.appendChild(diff);
+        }
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    };
+
+    tbody.innerHTML = '';
+    categories.forEach(category => {
+      const categoryItems = items.filter(item => (item.category || 'Uncategorized') === category);
+      appendRow(category, scenarioId =>
+        categoryItems.reduce((sum, item) => sum + calculateScenarioItemTotal(item, scenarioId), 0));
+    });
+    appendRow('Total', calculateScenarioTotal, 'scenario-compare-total');
+
+    // Remaining budget: differences are flipped so that more money left shows as good
+    const tr = document.createElement('tr');
+    const tdLabel = document.createElement('td');
+    tdLabel.textContent = 'Budget remaining';
+    tr.appendChild(tdLabel);
+    columns.forEach(column => {
+      const remaining = budget - calculateScenarioTotal(column.id);
+      const td = document.createElement('td');
+      td.textContent = `${remaining < 0 ? '-' : ''}${formatCurrency(Math.abs(remaining))}`;
+      td.className = remaining < 0 ? 'status-danger' : '';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+
+    appendRow('Items changed', scenarioId => (scenarioId === null
+      ? 0
+      : scenarioOverrides.filter(o => o.scenarioId === scenarioId).length), '', value => String(value));
+  }
+
+  /**
+   * Populate the category filter select and datalist with unique categories.
+   * Categories that are over their allocation are flagged in the option label.
+   */
+  function populateCategoryFilter() {
+    const select = document.getElementById('categoryFilter');
+    const datalist = document.getElementById('categoryList');
+    const selectedValue = select.value;
+
+    // Clear existing options
+    select.innerHTML = '<option value="">All Categories</option>';
+    datalist.innerHTML = '';
+
+    const categories = getAllCategories();
+    const spentByCategory = getSpentByCategory();
+
+    categories.forEach(cat => {
+      // Add to filter dropdown
+      const option = document.createElement('option');
+      option.value = cat;
+      option.textContent = cat;
+      const allocated = categoryAllocations[cat];
+      if (allocated !== undefined && spentByCategory[cat] > allocated) {
+        option.textContent = `${cat} (over by $${formatCurrency(spentByCategory[cat] - allocated, true)})`;
+        option.className = 'option-over-budget';
+      }
+      select.appendChild(option);
+
+      // Add to datalist for autocomplete
+      const datalistOption = document.createElement('option');
+      datalistOption.value = cat;
+      datalist.appendChild(datalistOption);
+    });
+
+    select.value = categories.includes(selectedValue) ? selectedValue : '';
+    populateTagFilter();
+  }
+
+  /**
+   * Every category in use, sorted
+   */
+  function getAllCategories() {
+    return [...new Set(originalData
+      .map(item => item.category)
+      .filter(cat => cat && typeof cat === 'string' && cat.trim() !== '')
+    )].sort();
+  }
+
+  /**
+   * Every tag in use, sorted
+   */
+  function getAllTags() {
+    return [...new Set(originalData.flatMap(item => item.tags || []))]
+      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Populate the tag filter select and the tag editor's suggestions
+   */
+  function populateTagFilter() {
+    const select = document.getElementById('tagFilter');
+    const datalist = document.getElementById('tagList');
+    const selectedValue = select.value;
+    const tags = getAllTags();
+
+    select.innerHTML = '<option value="">All Tags</option>';
+    datalist.innerHTML = '';
+    tags.forEach(tag => {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag;
+      select.appendChild(option);
+
+      const datalistOption = document.createElement('option');
+      datalistOption.value = tag;
+      datalist.appendChild(datalistOption);
+    });
+
+    select.value = tags.includes(selectedValue) ? selectedValue : '';
+  }
+
+  /**
+   * Populate the vendor filter select from the vendor directory
+   */
+  function populateVendorFilter() {
+    const select = document.getElementById('vendorFilter');
+    select.innerHTML = '<option value="">All Vendors</option><option value="none">No Vendor</option>';
+
+    vendors.forEach(vendor => {
+      const option = document.createElement('option');
+      option.value = vendor.id;
+      option.textContent = vendor.name;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Handle changes to any filter inputs
+   */
+  function handleFilterChange() {
+    applyFilters();
+    renderTable();
+    handleFilterStateChange();
+  }
+
+  /**
+   * Apply the quick filters (search, category, tag, status, vendor, required) and the
+   * filter builder conditions
+   */
+  function applyFilters() {
+    const searchTerm = document.getElementById('searchInput').value.trim().toLowerCase();
+    const categoryValue = document.getElementById('categoryFilter').value;
+    const requiredOnly = document.getElementById('requiredFilter').checked;
+    const vendorValue = document.getElementById('vendorFilter').value;
+    const tagValue = document.getElementById('tagFilter').value;
+    const statusValue = document.getElementById('statusFilter').value;
+    filteredData = originalData.filter(item => {
+      const tags = item.tags || [];
+      const matchesSearch = !searchTerm ||
+        (item.item && item.item.toLowerCase().includes(searchTerm)) ||
+        (item.category && item.category.toLowerCase().includes(searchTerm)) ||
+        tags.some(tag => tag.toLowerCase().includes(searchTerm));
+      const matchesCategory = !categoryValue || item.category === categoryValue;
+      const matchesTag = !tagValue || tags.includes(tagValue);
+      const matchesStatus = !statusValue || item.status === statusValue;
+      const matchesRequired = !requiredOnly || (item.required && item.required.toLowerCase().startsWith('y'));
+      const matchesVendor = !vendorValue ||
+        (vendorValue === 'none' ? !item.vendorId : String(item.vendorId) === vendorValue);
+      // A new row being filled in stays visible until it's saved
+      const isNewItem = typeof item.id === 'string' && item.id.startsWith('new-item-temp-');
+      return isNewItem ||
+        (matchesSearch && matchesCategory && matchesTag && matchesStatus && matchesRequired && matchesVendor &&
+          matchesAdvancedFilter(item));
+    });
+  }
+
+  /**
+   * Test an item against one filter builder condition
+   */
+  function matchesCondition(item, condition) {
+    const field = FILTER_FIELDS[condition.field];
+    if (!field) return true;
+    const value = field.get(item);
+
+    switch (condition.op) {
+      case 'gte':
+        return typeof value === 'number' && value >= condition.value;
+      case 'lte':
+        return typeof value === 'number' && value <= condition.value;
+      case 'between':
+        return typeof value === 'number' && value >= condition.value[0] && value <= condition.value[1];
+      case 'in':
+        // Tags match when any of the item's tags is listed
+        return (Array.isArray(value) ? value : [value]).some(v => condition.value.includes(v));
+      case 'is':
+        return value === condition.value;
+      case 'since':
+        return Boolean(value) && new Date(value) >= new Date(`${condition.value}T00:00:00`);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Test an item against the filter builder conditions (all or any of them)
+   */
+  function matchesAdvancedFilter(item) {
+    const { match, conditions } = advancedFilter;
+    if (conditions.length === 0) return true;
+    return match === 'or'
+      ? conditions.some(condition => matchesCondition(item, condition))
+      : conditions.every(condition => matchesCondition(item, condition));
+  }
+
+  /**
+   * Whether a condition's operator fits its field type and its value has the
+   * shape matchesCondition expects (links and saved views are untrusted)
+   */
+  function isValidCondition(condition) {
+    if (!condition || !Object.prototype.hasOwnProperty.call(FILTER_FIELDS, condition.field)) return false;
+    const field = FILTER_FIELDS[condition.field];
+    if (!FILTER_OPERATORS[field.type].some(([op]) => op === condition.op)) return false;
+
+    const { op, value } = condition;
+    const isNumber = v => typeof v === 'number' && isFinite(v);
+    switch (op) {
+      case 'between':
+        return Array.isArray(value) && value.length === 2 && value.every(isNumber);
+      case 'in':
+        return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string');
+      case 'is':
+        return typeof value === 'boolean';
+      case 'since':
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+          !isNaN(new Date(`${value}T00:00:00`).getTime());
+      default:
+        return isNumber(value);
+    }
+  }
+
+  /**
+   * Put a filter state (from a saved view, the URL or the page) into a fixed
+   * shape so two states can be compared as JSON. Conditions that don't fit
+   * their field are dropped.
+   */
+  function normalizeFilterState(state) {
+    const source = state || {};
+    const sort = source.sort || {};
+    return {
+      search: source.search || '',
+      category: source.category || '',
+      tag: source.tag || '',
+      status: ITEM_STATUSES.includes(source.status) ? source.status : '',
+      vendor: source.vendor ? String(source.vendor) : '',
+      requiredOnly: Boolean(source.requiredOnly),
+      match: source.match === 'or' ? 'or' : 'and',
+      conditions: (Array.isArray(source.conditions) ? source.conditions : [])
+        .filter(isValidCondition)
+        .map(condition => ({ field: condition.field, op: condition.op, value: condition.value })),
+      sort: { key: sort.key || 'position', asc: sort.asc !== false }
+    };
+  }
+
+  /**
+   * Get the page's current filters and sort
+   */
+  function getFilterState() {
+    return normalizeFilterState({
+      search: document.getElementById('searchInput').value.trim(),
+      category: document.getElementById('categoryFilter').value,
+      tag: document.getElementById('tagFilter').value,
+      status: document.getElementById('statusFilter').value,
+      vendor: document.getElementById('vendorFilter').value,
+      requiredOnly: document.getElementById('requiredFilter').checked,
+      match: advancedFilter.match,
+      conditions: advancedFilter.conditions,
+      sort: currentSort
+    });
+  }
+
+  /**
+   * Whether a filter state shows every item in the default order
+   */
+  function isDefaultFilterState(state) {
+    return JSON.stringify(normalizeFilterState(state)) === JSON.stringify(normalizeFilterState({}));
+  }
+
+  /**
+   * Load a filter state into the controls (without re-rendering)
+   */
+  function setFilterState(state) {
+    const normalized = normalizeFilterState(state);
+    document.getElementById('searchInput').value = normalized.search;
+    document.getElementById('categoryFilter').value = normalized.category;
+    document.getElementById('tagFilter').value = normalized.tag;
+    document.getElementById('statusFilter').value = normalized.status;
+    document.getElementById('vendorFilter').value = normalized.vendor;
+    document.getElementById('requiredFilter').checked = normalized.requiredOnly;
+    advancedFilter = { match: normalized.match, conditions: normalized.conditions };
+    currentSort = { ...normalized.sort };
+  }
+
+  /**
+   * Re-filter and re-render after the filters or sort changed, then update
+   * the view picker and the URL
+   */
+  function refreshFilteredView() {
+    applyFilters();
+    renderTable();
+    updateSortIndicators();
+    handleFilterStateChange();
+  }
+
+  /**
+   * Drop the active view once the filters no longer match it, and keep the
+   * view picker, filter button and URL in step with the page
+   */
+  function handleFilterStateChange() {
+    const state = getFilterState();
+    const activeView = savedViews.find(view => view.id === activeViewId);
+    if (activeView && JSON.stringify(normalizeFilterState(activeView.definition)) !== JSON.stringify(state)) {
+      activeViewId = null;
+    }
+
+    populateSavedViewSelect();
+    const count = advancedFilter.conditions.length;
+    document.getElementById('filterBuilderBtn').textContent = count > 0 ? `Filters (${count})` : 'Filters';
+    updateViewUrl(state);
+  }
+
+  /**
+   * Encode the active view in the URL: ?view=<id> for an unchanged saved
+   * view, otherwise ?filters=<JSON> while anything is filtered or sorted
+   */
+  function updateViewUrl(state) {
+    const params = new URLSearchParams(window.location.search);
+    params.delete('view');
+    params.delete('filters');
+    if (activeViewId) {
+      params.set('view', activeViewId);
+    } else if (!isDefaultFilterState(state)) {
+      params.set('filters', JSON.stringify(state));
+    }
+
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+
+  /**
+   * Apply the view or filters encoded in the URL, if any
+   */
+  function restoreViewFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const viewId = parseInt(params.get('view'), 10);
+    const view = savedViews.find(v => v.id === viewId);
+    if (view) {
+      setFilterState(view.definition);
+      activeViewId = view.id;
+      return;
+    }
+
+    if (params.get('view')) {
+      showError('That saved view no longer exists. Showing all items.');
+    }
+    if (params.get('filters')) {
+      try {
+        setFilterState(JSON.parse(params.get('filters')));
+      } catch (err) {
+        console.error('Error reading filters from the URL:', err);
+        showError('The filters in this link could not be read. Showing all items.');
+      }
+    }
+  }
+
+  /**
+   * Fill the saved view picker
+   */
+  function populateSavedViewSelect() {
+    const select = document.getElementById('savedViewSelect');
+    select.innerHTML = '<option value="">All items</option>';
+
+    // Shown while the filters don't match a saved view
+    if (!activeViewId && !isDefaultFilterState(getFilterState())) {
+      const custom = document.createElement('option');
+      custom.value = 'custom';
+      custom.textContent = 'Custom filters';
+      select.appendChild(custom);
+    }
+
+    savedViews.forEach(view => {
+      const option = document.createElement('option');
+      option.value = view.id;
+      option.textContent = view.name;
+      select.appendChild(option);
+    });
+
+    if (activeViewId) {
+      select.value = activeViewId;
+    } else {
+      select.value = isDefaultFilterState(getFilterState()) ? '' : 'custom';
+    }
+  }
+
+  /**
+   * Switch to a saved view (or back to all items)
+   */
+  function handleSavedViewSelect(e) {
+    const value = e.target.value;
+    if (value === 'custom') return;
+
+    const view = savedViews.find(v => String(v.id) === value);
+    setFilterState(view ? view.definition : {});
+    activeViewId = view ? view.id : null;
+    refreshFilteredView();
+  }
+
+  /**
+   * Open the filter builder on the current conditions
+   */
+  function openFilterModal() {
+    document.getElementById('filterMatch').value = advancedFilter.match;
+    const container = document.getElementById('filterConditions');
+    container.innerHTML = '';
+    advancedFilter.conditions.forEach(condition => container.appendChild(createConditionRow(condition)));
+    if (advancedFilter.conditions.length === 0) {
+      container.appendChild(createConditionRow({ field: 'cost', op: 'gte', value: null }));
+    }
+
+    document.getElementById('viewNameInput').value = '';
+    document.getElementById('saveViewForm').style.display = canEditItems() ? 'block' : 'none';
+    document.getElementById('deleteViewBtn').style.display = activeViewId && canEditItems() ? '' : 'none';
+    document.getElementById('filterModal').classList.add('show');
+  }
+
+  /**
+   * Close the filter builder without applying it
+   */
+  function closeFilterModal() {
+    document.getElementById('filterModal').classList.remove('show');
+  }
+
+  /**
+   * Build one condition row: field, operator, value input(s) and a remove button
+   */
+  function createConditionRow(condition) {
+    const row = document.createElement('div');
+    row.className = 'filter-condition';
+
+    const fieldSelect = document.createElement('select');
+    fieldSelect.className = 'filter-field';
+    fieldSelect.setAttribute('aria-label', 'Field');
+    Object.entries(FILTER_FIELDS).forEach(([key, field]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = field.label;
+      fieldSelect.appendChild(option);
+    });
+    fieldSelect.value = condition.field;
+
+    const opSelect = document.createElement('select');
+    opSelect.className = 'filter-op';
+    opSelect.setAttribute('aria-label', 'Condition');
+
+    const valueContainer = document.createElement('span');
+    valueContainer.className = 'filter-value';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-secondary btn-small';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', 'Remove condition');
+    removeBtn.addEventListener('click', () => row.remove());
+
+    const fillOperators = (op) => {
+      opSelect.innerHTML = '';
+      FILTER_OPERATORS[FILTER_FIELDS[fieldSelect.value].type].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        opSelect.appendChild(option);
+      });
+      if (op) opSelect.value = op;
+      if (!opSelect.value) opSelect.selectedIndex = 0;
+    };
+
+    fieldSelect.addEventListener('change', () => {
+      fillOperators(null);
+      renderConditionValue(valueContainer, fieldSelect.value, opSelect.value, null);
+    });
+    opSelect.addEventListener('change', () => {
+      renderConditionValue(valueContainer, fieldSelect.value, opSelect.value, null);
+    });
+
+    fillOperators(condition.op);
+    renderConditionValue(valueContainer, fieldSelect.value, opSelect.value, condition.value);
+
+    row.appendChild(fieldSelect);
+    row.appendChild(opSelect);
+    row.appendChild(valueContainer);
+    row.appendChild(removeBtn);
+    return row;
+  }
+
+  /**
+   * Render the value input(s) for a condition's field type and operator
+   */
+  function renderConditionValue(container, fieldKey, op, value) {
+    const type = FILTER_FIELDS[fieldKey].type;
+    container.innerHTML = '';
+
+    const numberInput = (initial, label) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.01';
+      input.min = '0';
+      input.value = typeof initial === 'number' ? initial : '';
+      input.setAttribute('aria-label', label);
+      return input;
+    };
+
+    if (type === 'number' && op === 'between') {
+      const [min, max] = Array.isArray(value) ? value : [null, null];
+      container.appendChild(numberInput(min, 'Minimum'));
+      const and = document.createElement('span');
+      and.textContent = 'and';
+      container.appendChild(and);
+      container.appendChild(numberInput(max, 'Maximum'));
+    } else if (type === 'number') {
+      container.appendChild(numberInput(value, 'Value'));
+    } else if (type === 'list') {
+      const select = document.createElement('select');
+      select.multiple = true;
+      select.setAttribute('aria-label', FILTER_FIELDS[fieldKey].label);
+      const selected = Array.isArray(value) ? value : [];
+      const field = FILTER_FIELDS[fieldKey];
+      const options = [...new Set([...field.options(), ...selected])];
+      options.forEach(optionValue => {
+        const option = document.createElement('option');
+        option.value = optionValue;
+        option.textContent = field.optionLabel ? field.optionLabel(optionValue) : optionValue;
+        option.selected = selected.includes(optionValue);
+        select.appendChild(option);
+      });
+      select.size = Math.min(Math.max(options.length, 2), 6);
+      container.appendChild(select);
+    } else if (type === 'boolean') {
+      const select = document.createElement('select');
+      select.setAttribute('aria-label', 'Value');
+      select.innerHTML = '<option value="true">Yes</option><option value="false">No</option>';
+      select.value = value === false ? 'false' : 'true';
+      container.appendChild(select);
+    } else if (type === 'date') {
+      const input = document.createElement('input');
+      input.type = 'date';
+      input.value = typeof value === 'string' ? value : '';
+      input.setAttribute('aria-label', 'Date');
+      container.appendChild(input);
+    }
+  }
+
+  /**
+   * Read the filter builder rows into conditions, or null (after showing an
+   * error) if a row is incomplete
+   */
+  function readFilterConditions() {
+    const conditions = [];
+    const rows = document.querySelectorAll('#filterConditions .filter-condition');
+
+    for (const row of rows) {
+      const field = row.querySelector('.filter-field').value;
+      const op = row.querySelector('.filter-op').value;
+      const label = FILTER_FIELDS[field].label;
+      const type = FILTER_FIELDS[field].type;
+      let value;
+
+      if (type === 'number') {
+        const numbers = [...row.querySelectorAll('.filter-value input')].map(input => parseFloat(input.value));
+        if (numbers.some(number => isNaN(number))) {
+          showError(`Enter a number for "${label}".`);
+          return null;
+        }
+        value = op === 'between' ? [Math.min(...numbers), Math.max(...numbers)] : numbers[0];
+      } else if (type === 'list') {
+        value = [...row.querySelector('.filter-value select').selectedOptions].map(option => option.value);
+        if (value.length === 0) {
+          showError(`Choose at least one ${label.toLowerCase()}.`);
+          return null;
+        }
+      } else if (type === 'boolean') {
+        value = row.querySelector('.filter-value select').value === 'true';
+      } else {
+        value = row.querySelector('.filter-value input').value;
+        if (!value) {
+          showError(`Choose a date for "${label}".`);
+          return null;
+        }
+      }
+
+      conditions.push({ field, op, value });
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Apply the filter builder's conditions to the list
+   */
+  function handleApplyFilters() {
+    const conditions = readFilterConditions();
+    if (!conditions) return false;
+
+    advancedFilter = { match: document.getElementById('filterMatch').value, conditions };
+    refreshFilteredView();
+    closeFilterModal();
+    return true;
+  }
+
+  /**
+   * Reset every filter and the sort order
+   */
+  function handleClearFilters() {
+    setFilterState({});
+    activeViewId = null;
+    refreshFilteredView();
+    closeFilterModal();
+  }
+
+  /**
+   * Apply the builder's conditions and save them, the quick filters and the
+   * sort order as a named view
+   */
+  async function handleSaveView(e) {
+    e.preventDefault();
+    const name = document.getElementById('viewNameInput').value.trim();
+    if (!name) return;
+
+    const conditions = readFilterConditions();
+    if (!conditions) return;
+    advancedFilter = { match: document.getElementById('filterMatch').value, conditions };
+
+    const view = await createSavedView(name, getFilterState());
+    if (!view) return;
+
+    savedViews = [...savedViews, view].sort((a, b) => a.name.localeCompare(b.name));
+    activeViewId = view.id;
+    refreshFilteredView();
+    closeFilterModal();
+    showSuccess(`View "${view.name}" saved.`);
+  }
+
+  /**
+   * Delete the active saved view after confirmation (its filters stay applied)
+   */
+  async function handleDeleteView() {
+    const view = savedViews.find(v => v.id === activeViewId);
+    if (!view || !confirm(`Delete the view "${view.name}"?`)) return;
+
+    if (!(await deleteSavedView(view.id))) return;
+
+    savedViews = savedViews.filter(v => v.id !== view.id);
+    activeViewId = null;
+    handleFilterStateChange();
+    closeFilterModal();
+    showSuccess(`View "${view.name}" deleted.`);
+  }
+
+  /**
+   * Sort the filtered data
+   */
+  function sortData() {
+    const key = currentSort.key;
+    const asc = currentSort.asc;
+    filteredData.sort((a, b) => {
+      let va = a[key];
+      let vb = b[key];
+
+      if (key === 'subTotal') {
+        va = calculateSubTotal(a);
+        vb = calculateSubTotal(b);
+      } else if (key === 'quantity') {
+        va = getEffectiveQuantity(a);
+        vb = getEffectiveQuantity(b);
+      } else if (key === 'position') {
+        va = getItemPosition(a);
+        vb = getItemPosition(b);
+      } else if (key === 'status') {
+        // Workflow order rather than alphabetical
+        va = ITEM_STATUSES.indexOf(a.status);
+        vb = ITEM_STATUSES.indexOf(b.status);
+      } else if (key === 'variance') {
+        va = calculateVariance(a);
+        vb = calculateVariance(b);
+      } else if (key === 'paid') {
+        va = calculatePaid(a);
+        vb = calculatePaid(b);
+      } else if (key === 'balanceDue') {
+        va = calculateBalanceDue(a);
+        vb = calculateBalanceDue(b);
+      }
+
+      if (va === undefined || va === null) va = '';
+      if (vb === undefined || vb === null) vb = '';
+
+      if (typeof va === 'number' && typeof vb === 'number') {
+        return asc ? va - vb : vb - va;
+      }
+
+      const sa = String(va).toLowerCase();
+      const sb = String(vb).toLowerCase();
+      if (sa < sb) return asc ? -1 : 1;
+      if (sa > sb) return asc ? 1 : -1;
+      return 0;
+    });
+  }
+
+  /**
+   * Render the table body with action buttons
+   */
+  function renderTable() {
+    sortData();
+    const tbody = document.querySelector('#dataTable tbody');
+    tbody.innerHTML = '';
+
+    if (filteredData.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="13" style="text-align: center; padding: 2rem; color: #6e6e73;">No items found matching your filters.</td></tr>';
+      if (listLayout.view === 'board') {
+        renderBoard();
+      }
+      updateSummary();
+      return;
+    }
+
+    const canReorder = canReorderRows();
+    let rowNumber = 0;
+    getTableRows().forEach(({ item, group }) => {
+      if (group) {
+        tbody.appendChild(createGroupHeaderRow(group));
+        return;
+      }
+
+      const tr = document.createElement('tr');
+      tr.dataset.itemId = item.id;
+      if (listLayout.groupRows) {
+        tr.dataset.group = item.category || '';
+      }
+      if (remoteHighlightIds.has(item.id)) {
+        tr.classList.add('row-remote-change');
+      }
+      const pendingFields = offlineStore.getPendingFields(item.id);
+      const subTotal = calculateSubTotal(item);
+      rowNumber += 1;
+      const displayIndex = rowNumber;
+
+      const tdId = document.createElement('td');
+      tdId.textContent = displayIndex;
+
+      const tdCategory = document.createElement('td');
+      tdCategory.textContent = item.category || '';
+
+      const tdItem = document.createElement('td');
+      tdItem.textContent = item.item || '';
+      if (item.tags && item.tags.length > 0) {
+        const tags = document.createElement('span');
+        tags.className = 'tag-chips';
+        item.tags.forEach(tag => tags.appendChild(createTagChip(tag)));
+        tdItem.appendChild(tags);
+      }
+
+      const tdRequired = document.createElement('td');
+      tdRequired.textContent = item.required || '';
+
+      const tdStatus = document.createElement('td');
+      tdStatus.appendChild(createStatusPill(item.status));
+
+      const tdUnitCost = document.createElement('td');
+      tdUnitCost.textContent = formatCurrency(item.unitCost);
+
+      const tdQuantity = document.createElement('td');
+      tdQuantity.textContent = isGuestDriven(item)
+        ? getEffectiveQuantity(item)
+        : (item.quantity !== null && item.quantity !== undefined ? item.quantity : '1');
+      if (item.quantityBasis && item.quantityBasis !== 'fixed') {
+        const basis = document.createElement('span');
+        basis.className = 'quantity-basis';
+        basis.textContent = isGuestDriven(item) ? describeQuantityBasis(item) : `${describeQuantityBasis(item)}, no guest count`;
+        tdQuantity.appendChild(basis);
+      }
+
+      const tdSubTotal = document.createElement('td');
+      tdSubTotal.textContent = formatCurrency(subTotal);
+      const charges = calculateCharges(item, subTotal);
+      if (charges.total - subTotal >= 0.005) {
+        const breakdown = document.createElement('span');
+        breakdown.className = 'subtotal-breakdown';
+        breakdown.textContent = `${formatCurrency(charges.total)} with tax & fees`;
+        breakdown.title = [
+          `Service: ${formatCurrency(charges.service)}`,
+          `Tax: ${formatCurrency(charges.tax)}`,
+          `Gratuity: ${formatCurrency(charges.gratuity)}`
+        ].join('\n');
+        tdSubTotal.appendChild(breakdown);
+      }
+
+      const tdActualCost = document.createElement('td');
+      tdActualCost.textContent = formatCurrency(getActualCost(item));
+
+      const variance = calculateVariance(item);
+      const tdVariance = document.createElement('td');
+      tdVariance.textContent = formatVariance(variance);
+      const varianceStatus = getVarianceStatus(variance);
+      if (varianceStatus) {
+        tdVariance.classList.add(varianceStatus);
+      }
+
+      const paid = calculatePaid(item);
+      const tdPaid = document.createElement('td');
+      tdPaid.textContent = formatCurrency(paid);
+
+      const balanceDue = calculateCommittedCost(item) - paid;
+      const tdBalanceDue = document.createElement('td');
+      tdBalanceDue.textContent = balanceDue < 0
+        ? `-${formatCurrency(Math.abs(balanceDue))}`
+        : formatCurrency(balanceDue);
+      if (balanceDue <= 0 && paid > 0) {
+        tdBalanceDue.classList.add('status-good');
+      }
+
+      const tdActions = document.createElement('td');
+      tdActions.className = 'action-buttons';
+
+      if (canEditItems()) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-edit';
+        editBtn.innerHTML = '&#9998; Edit'; // Pencil icon
+        editBtn.setAttribute('aria-label', 'Edit item');
+        editBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          enterEditMode(tr, item);
+        });
+        tdActions.appendChild(editBtn);
+      }
+
+      if (canDeleteItems()) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handleDelete(item.id);
+        });
+        tdActions.appendChild(deleteBtn);
+      }
+
+      tr.appendChild(tdId);
+      tr.appendChild(tdCategory);
+      tr.appendChild(tdItem);
+      tr.appendChild(tdRequired);
+      tr.appendChild(tdStatus);
+      tr.appendChild(tdUnitCost);
+      tr.appendChild(tdQuantity);
+      tr.appendChild(tdSubTotal);
+      tr.appendChild(tdActualCost);
+      tr.appendChild(tdVariance);
+      tr.appendChild(tdPaid);
+      tr.appendChild(tdBalanceDue);
+      tr.appendChild(tdActions);
+
+      // Writes still queued in the offline outbox
+      pendingFields.forEach(field => {
+        const cellIndex = PENDING_CELL_INDEXES[field];
+        if (cellIndex !== undefined) {
+          tr.children[cellIndex].classList.add('cell-saving');
+        }
+      });
+
+      // Click on row to view details (except actions column and new or not yet synced items)
+      const isNewItem = (typeof item.id === 'string' && item.id.startsWith('new-item-temp-')) ||
+        offlineStore.isTempId(item.id);
+      if (!isNewItem) {
+        [tdId, tdCategory, tdItem, tdRequired, tdStatus, tdUnitCost, tdQuantity, tdSubTotal, tdActualCost, tdVariance, tdPaid, tdBalanceDue].forEach(td => {
+          td.addEventListener('click', (e) => {
+            // Don't navigate if row is in edit mode
+            if (tr.classList.contains('row-editing')) {
+              return;
+            }
+            window.location.href = `item.html?id=${item.id}`;
+          });
+          td.style.cursor = 'pointer';
+        });
+
+        if (canReorder) {
+          addDragHandle(tr, tdId, item);
+        }
+      }
+
+      tbody.appendChild(tr);
+    });
+    if (listLayout.view === 'board') {
+      renderBoard();
+    }
+    updateSummary();
+  }
+
+  /**
+   * Get an item's place in the manual order. Items never reordered fall back
+   * to their id (creation order); a new unsaved row always comes first.
+   */
+  function getItemPosition(item) {
+    if (typeof item.id === 'string' && item.id.startsWith('new-item-temp-')) return -Infinity;
+    if (typeof item.position === 'number') return item.position;
+    return typeof item.id === 'number' ? item.id : Infinity;
+  }
+
+  /**
+   * Whether rows can be dragged into a new order: editors only, while the
+   * table is sorted by the # column (manual order) ascending
+   */
+  function canReorderRows() {
+    return canEditItems() && currentSort.key === 'position' && currentSort.asc;
+  }
+
+  /**
+   * Get the table rows in display order: the filtered items, or when grouped
+   * a header per category followed by its items (unless collapsed). A new
+   * unsaved row stays above the groups.
+   */
+  function getTableRows() {
+    if (!listLayout.groupRows) {
+      return filteredData.map(item => ({ item }));
+    }
+
+    const rows = [];
+    const groups = new Map();
+    filteredData.forEach(item => {
+      if (typeof item.id === 'string' && item.id.startsWith('new-item-temp-')) {
+        rows.push({ item });
+        return;
+      }
+      const category = item.category || '';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(item);
+    });
+
+    // Categories alphabetically, uncategorized items last
+    const categories = [...groups.keys()].sort((a, b) => {
+      if (!a || !b) return a ? -1 : b ? 1 : 0;
+      return a < b ? -1 : a > b ? 1 : 0;
+    });
+    categories.forEach(category => {
+      const items = groups.get(category);
+      const collapsed = listLayout.collapsedCategories.includes(category);
+      rows.push({ group: { category, items, collapsed } });
+      if (!collapsed) {
+        items.forEach(item => rows.push({ item }));
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Create a category header row with a collapse toggle, the item count and
+   * the group's subtotals
+   */
+  function createGroupHeaderRow(group) {
+    const tr = document.createElement('tr');
+    tr.className = 'group-header';
+    tr.dataset.group = group.category;
+
+    const td = document.createElement('td');
+    td.colSpan = 13;
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'group-toggle';
+    toggle.setAttribute('aria-expanded', String(!group.collapsed));
+    toggle.textContent = `${group.collapsed ? '▸' : '▾'} ${group.category || 'Uncategorized'}`;
+    toggle.addEventListener('click', () => toggleCategoryGroup(group.category));
+
+    const count = document.createElement('span');
+    count.className = 'group-count';
+    count.textContent = `${group.items.length} item${group.items.length === 1 ? '' : 's'}`;
+
+    const subTotal = group.items.reduce((sum, item) => sum + calculateSubTotal(item), 0);
+    const total = group.items.reduce((sum, item) => sum + calculateItemTotal(item), 0);
+    const totals = document.createElement('span');
+    totals.className = 'group-subtotal';
+    totals.textContent = total - subTotal >= 0.005
+      ? `${formatCurrency(subTotal)} · ${formatCurrency(total)} with tax & fees`
+      : formatCurrency(subTotal);
+
+    td.appendChild(toggle);
+    td.appendChild(count);
+    td.appendChild(totals);
+    tr.appendChild(td);
+    return tr;
+  }
+
+  /**
+   * Turn grouping the table by category on or off (remembered with the layout)
+   */
+  function setGroupRows(enabled) {
+    listLayout.groupRows = enabled;
+    localStorage.setItem(LIST_LAYOUT_KEY, JSON.stringify(listLayout));
+    if (currentEditingRow) {
+      exitEditMode(currentEditingRow, false);
+    } else {
+      renderTable();
+    }
+  }
+
+  /**
+   * Collapse or expand a category group (remembered with the layout)
+   */
+  function toggleCategoryGroup(category) {
+    const collapsed = listLayout.collapsedCategories;
+    listLayout.collapsedCategories = collapsed.includes(category)
+      ? collapsed.filter(c => c !== category)
+      : [...collapsed, category];
+    localStorage.setItem(LIST_LAYOUT_KEY, JSON.stringify(listLayout));
+    if (currentEditingRow) {
+      exitEditMode(currentEditingRow, false);
+    } else {
+      renderTable();
+    }
+  }
+
+  /**
+   * Make a table row draggable from its handle in the # cell
+   */
+  function addDragHandle(tr, tdId, item) {
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.textContent = '⠿';
+    handle.title = 'Drag to reorder';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.addEventListener('mousedown', () => {
+      // Re-rendering mid-edit would drop the open inputs
+      tr.draggable = !currentEditingRow;
+    });
+    handle.addEventListener('mouseup', () => {
+      tr.draggable = false;
+    });
+    handle.addEventListener('click', (e) => e.stopPropagation());
+    tdId.prepend(handle);
+
+    tr.addEventListener('dragstart', (e) => {
+      draggedRowId = item.id;
+      e.dataTransfer.setData('text/plain', String(item.id));
+      e.dataTransfer.effectAllowed = 'move';
+      tr.classList.add('row-dragging');
+    });
+    tr.addEventListener('dragend', () => {
+      draggedRowId = null;
+      tr.draggable = false;
+      tr.classList.remove('row-dragging');
+      clearDropIndicators();
+    });
+  }
+
+  /**
+   * Remove the drop-position lines from the table
+   */
+  function clearDropIndicators() {
+    document.querySelectorAll('#dataTable tr.drop-before, #dataTable tr.drop-after').forEach(row => {
+      row.classList.remove('drop-before', 'drop-after');
+    });
+  }
+
+  /**
+   * Find the row a dragged row would be dropped next to, and whether it goes
+   * before or after it. Grouped rows only move within their category.
+   */
+  function getDropTarget(e) {
+    const row = e.target.closest('tr[data-item-id]');
+    if (!row || draggedRowId === null || row.dataset.itemId === String(draggedRowId)) return null;
+    if (row.dataset.itemId.startsWith('new-item-temp-')) return null;
+
+    const dragged = originalData.find(item => item.id === draggedRowId);
+    if (listLayout.groupRows && dragged && row.dataset.group !== (dragged.category || '')) return null;
+
+    const rect = row.getBoundingClientRect();
+    return { row, after: e.clientY > rect.top + rect.height / 2 };
+  }
+
+  /**
+   * Handle drag-and-drop reordering of the table rows
+   */
+  function setUpRowReordering() {
+    const tbody = document.querySelector('#dataTable tbody');
+
+    tbody.addEventListener('dragover', (e) => {
+      const target = getDropTarget(e);
+      clearDropIndicators();
+      if (!target) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      target.row.classList.add(target.after ? 'drop-after' : 'drop-before');
+    });
+
+    tbody.addEventListener('drop', (e) => {
+      const target = getDropTarget(e);
+      clearDropIndicators();
+      if (!target) return;
+      e.preventDefault();
+      moveItem(draggedRowId, target.row.dataset.itemId, target.after);
+    });
+  }
+
+  /**
+   * Move an item just before or after another in the manual order and save
+   * its new position. The position is the midpoint of its new neighbours, so
+   * only the moved row is written; when there's no room left between them
+   * every item is renumbered.
+   */
+  async function moveItem(itemId, targetId, after) {
+    const item = originalData.find(i => i.id === itemId);
+    const target = originalData.find(i => String(i.id) === targetId);
+    if (!item || !target) return;
+
+    const ordered = getRealItems()
+      .filter(i => i.id !== item.id)
+      .sort((a, b) => getItemPosition(a) - getItemPosition(b));
+    const insertAt = ordered.indexOf(target) + (after ? 1 : 0);
+    const prev = ordered[insertAt - 1];
+    const next = ordered[insertAt];
+
+    let updates;
+    if (prev && next && getItemPosition(next) - getItemPosition(prev) < 1e-6) {
+      ordered.splice(insertAt, 0, item);
+      updates = ordered
+        .map((i, index) => ({ item: i, position: index + 1 }))
+        .filter(update => update.item.position !== update.position);
+    } else {
+      let position = 0;
+      if (prev && next) position = (getItemPosition(prev) + getItemPosition(next)) / 2;
+      else if (prev) position = getItemPosition(prev) + 1;
+      else if (next) position = getItemPosition(next) - 1;
+      updates = [{ item, position }];
+    }
+
+    // Start the writes (offline, the queue records the old positions), then
+    // show the new order straight away; put it back if a save fails
+    const oldPositions = new Map(updates.map(update => [update.item.id, update.item.position]));
+    const saves = updates.map(update => updateItemField(update.item.id, 'position', update.position));
+    updates.forEach(update => { update.item.position = update.position; });
+    renderTable();
+
+    const results = await Promise.all(saves);
+
+    if (results.some(result => !result)) {
+      updates.forEach((update, index) => {
+        if (!results[index]) update.item.position = oldPositions.get(update.item.id);
+      });
+      showError('Failed to save the new order. Please try again.');
+    } else if (updates.length === 1) {
+      recordAction({
+        type: 'update',
+        itemId: item.id,
+        field: 'position',
+        oldValue: oldPositions.get(item.id),
+        newValue: item.position,
+        label: item.item
+      });
+    }
+
+    results.forEach(result => {
+      if (!result) return;
+      const current = originalData.find(i => i.id === result.id);
+      if (current) current.updatedAt = result.updatedAt;
+    });
+    renderTable();
+  }
+
+  /**
+   * Show the list as the table or the board, remembering the choice
+   */
+  function setListLayout(view, groupBy) {
+    listLayout = { ...listLayout, view, groupBy: groupBy || listLayout.groupBy };
+    localStorage.setItem(LIST_LAYOUT_KEY, JSON.stringify(listLayout));
+
+    // The board has no inline editing
+    if (view === 'board' && currentEditingRow) {
+      exitEditMode(currentEditingRow, false);
+    }
+
+    applyListLayout();
+    renderTable();
+  }
+
+  /**
+   * Show the table or the board (and the board's group-by control)
+   */
+  function applyListLayout() {
+    const view = listLayout.view;
+    document.getElementById('tableView').style.display = view === 'board' ? 'none' : '';
+    document.getElementById('boardView').style.display = view === 'board' ? '' : 'none';
+    document.getElementById('boardGroupByControl').style.display = view === 'board' ? '' : 'none';
+    document.getElementById('groupRowsControl').style.display = view === 'board' ? 'none' : '';
+    document.getElementById('groupRowsToggle').checked = listLayout.groupRows;
+    document.getElementById('boardGroupBy').value = listLayout.groupBy;
+    document.querySelectorAll('.layout-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.layout === view);
+      btn.setAttribute('aria-pressed', String(btn.dataset.layout === view));
+    });
+  }
+
+  /**
+   * Get the board columns for the current grouping: every status, or every
+   * category in use
+   */
+  function getBoardColumns() {
+    if (listLayout.groupBy === 'category') {
+      return getAllCategories().map(category => ({ value: category, label: category }));
+    }
+    return ITEM_STATUSES.map(status => ({ value: status, label: ITEM_STATUS_LABELS[status] }));
+  }
+
+  /**
+   * Render the board: one column per status or category holding the
+   * filtered items as cards, in the current sort order. Editors drag cards
+   * between columns to change that field.
+   */
+  function renderBoard() {
+    const board = document.getElementById('boardView');
+    const field = listLayout.groupBy;
+    const items = filteredData.filter(item =>
+      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
+    );
+    board.innerHTML = '';
+
+    const columns = getBoardColumns();
+    if (columns.length === 0) {
+      board.innerHTML = '<p class="board-empty">No items yet.</p>';
+      return;
+    }
+
+    columns.forEach(column => {
+      const columnItems = items.filter(item => item[field] === column.value);
+      const total = columnItems.reduce((sum, item) => sum + calculateItemTotal(item), 0);
+
+      const columnEl = document.createElement('section');
+      columnEl.className = 'board-column';
+      columnEl.dataset.value = column.value;
+      columnEl.setAttribute('aria-label', column.label);
+
+      const header = document.createElement('header');
+      header.className = 'board-column-header';
+      const title = document.createElement('h3');
+      title.className = 'board-column-title';
+      title.textContent = column.label;
+      const count = document.createElement('span');
+      count.className = 'board-column-count';
+      count.textContent = columnItems.length;
+      const totalEl = document.createElement('span');
+      totalEl.className = 'board-column-total';
+      totalEl.textContent = formatCurrency(total);
+      header.appendChild(title);
+      header.appendChild(count);
+      header.appendChild(totalEl);
+      columnEl.appendChild(header);
+
+      const cards = document.createElement('div');
+      cards.className = 'board-cards';
+      columnItems.forEach(item => cards.appendChild(createBoardCard(item)));
+      columnEl.appendChild(cards);
+
+      if (canEditItems()) {
+        columnEl.addEventListener('dragover', (e) => {
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'move';
+          columnEl.classList.add('drag-over');
+        });
+        columnEl.addEventListener('dragleave', (e) => {
+          if (!columnEl.contains(e.relatedTarget)) {
+            columnEl.classList.remove('drag-over');
+          }
+        });
+        columnEl.addEventListener('drop', (e) => {
+          e.preventDefault();
+          columnEl.classList.remove('drag-over');
+          handleBoardDrop(e.dataTransfer.getData('text/plain'), column.value, cards);
+        });
+      }
+
+      board.appendChild(columnEl);
+    });
+  }
+
+  /**
+   * Create a board card: name (linking to the item page), the other grouping,
+   * cost with tax and fees, and tags
+   */
+  function createBoardCard(item) {
+    const card = document.createElement('article');
+    card.className = 'board-card';
+    card.dataset.id = item.id;
+
+    const title = document.createElement('a');
+    title.className = 'board-card-title';
+    title.href = `item.html?id=${item.id}`;
+    title.textContent = item.item || 'Untitled Item';
+    card.appendChild(title);
+
+    const meta = document.createElement('div');
+    meta.className = 'board-card-meta';
+    if (listLayout.groupBy === 'category') {
+      meta.appendChild(createStatusPill(item.status));
+    } else {
+      const category = document.createElement('span');
+      category.className = 'board-card-category';
+      category.textContent = item.category || '';
+      meta.appendChild(category);
+    }
+    const cost = document.createElement('span');
+    cost.className = 'board-card-cost';
+    cost.textContent = formatCurrency(calculateItemTotal(item));
+    meta.appendChild(cost);
+    card.appendChild(meta);
+
+    if (item.tags && item.tags.length > 0) {
+      const tags = document.createElement('span');
+      tags.className = 'tag-chips';
+      item.tags.forEach(tag => tags.appendChild(createTagChip(tag)));
+      card.appendChild(tags);
+    }
+
+    if (canEditItems()) {
+      card.draggable = true;
+      card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', String(item.id));
+        e.dataTransfer.effectAllowed = 'move';
+        card.classList.add('dragging');
+      });
+      card.addEventListener('dragend', () => card.classList.remove('dragging'));
+    }
+
+    return card;
+  }
+
+  /**
+   * Save a card dropped on another column: the item's status or category
+   * becomes the column's, with the same conflict check as an inline edit
+   */
+  async function handleBoardDrop(itemId, value, cardsContainer) {
+    const field = listLayout.groupBy;
+    const item = originalData.find(i => String(i.id) === itemId);
+    if (!item || item[field] === value) return;
+
+    // Show the card in its new column while the save is in flight
+    const card = document.querySelector(`.board-card[data-id="${CSS.escape(itemId)}"]`);
+    if (card) {
+      card.classList.add('board-card-saving');
+      cardsContainer.appendChild(card);
+    }
+
+    const oldValue = item[field];
+    const result = await saveFieldWithConflictCheck(item, field, oldValue, value);
+
+    if (result.status === 'saved' || result.status === 'theirs') {
+      const saved = result.item;
+      const index = originalData.findIndex(i => i.id === item.id);
+      if (index !== -1) {
+        originalData[index] = {
+          ...originalData[index],
+          ...saved,
+          [field]: result.status === 'saved' ? value : saved[field]
+        };
+      }
+      if (result.status === 'saved') {
+        recordAction({ type: 'update', itemId: item.id, field, oldValue, newValue: value, label: item.item });
+      }
+    } else if (result.status === 'error') {
+      showError(`Failed to move "${item.item}". Please try again.`);
+    }
+
+    applyFilters();
+    renderTable();
+  }
+
+  /**
+   * Update sort indicators on table headers
+   */
+  function updateSortIndicators() {
+    document.querySelectorAll('th[data-sort]').forEach(th => {
+      th.classList.remove('sort-asc', 'sort-desc');
+      const key = th.getAttribute('data-sort');
+      if (currentSort.key === key) {
+        th.classList.add(currentSort.asc ? 'sort-asc' : 'sort-desc');
+      }
+    });
+  }
+
+  /**
+   * Update the summary counts and totals display
+   */
+  function updateSummary() {
+    // Filter out temp new items for counts
+    const realOriginalData = originalData.filter(item =>
+      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
+    );
+    const realFilteredData = filteredData.filter(item =>
+      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
+    );
+
+    document.getElementById('totalCount').textContent = realOriginalData.length;
+    document.getElementById('visibleCount').textContent = realFilteredData.length;
+    const total = filteredData.reduce((sum, item) => sum + calculateSubTotal(item), 0);
+    const totalWithFees = filteredData.reduce((sum, item) => sum + calculateItemTotal(item), 0);
+    document.getElementById('totalCost').textContent = formatCurrency(total, true);
+    document.getElementById('totalCostWithFees').textContent = formatCurrency(totalWithFees, true);
+    updateMetrics();
+    cacheListData();
+  }
+
+  /**
+   * Get real (saved) items, excluding temp new items
+   */
+  function getRealItems() {
+    return originalData.filter(item =>
+      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
+    );
+  }
+
+  /**
+   * Sum the estimated cost (with tax and fees) of real items by category
+   */
+  function getSpentByCategory() {
+    return getRealItems().reduce((map, item) => {
+      const category = item.category || 'Uncategorized';
+      map[category] = (map[category] || 0) + calculateItemTotal(item);
+      return map;
+    }, {});
+  }
+
+  /**
+   * Sum actual-minus-estimate variance of invoiced items by category
+   */
+  function getVarianceByCategory() {
+    return getRealItems().reduce((map, item) => {
+      const variance = calculateVariance(item);
+      if (variance !== null) {
+        const category = item.category || 'Uncategorized';
+        map[category] = (map[category] || 0) + variance;
+      }
+      return map;
+    }, {});
+  }
+
+  /**
+   * Get the status class for spend against a budget:
+   * danger when over, warning at 90% or more, good otherwise
+   */
+  function getBudgetStatus(spent, allocated) {
+    const remaining = allocated - spent;
+    const percentage = allocated > 0 ? (spent / allocated) * 100 : 0;
+    if (remaining < 0) return 'status-danger';
+    if (percentage >= 90) return 'status-warning';
+    return 'status-good';
+  }
+
+  /**
+   * Update the budget metric cards
+   */
+  function updateMetrics() {
+    // Only include real items (not temp new items) in metrics
+    const realItems = getRealItems();
+    const preTaxCost = realItems.reduce((sum, item) => sum + calculateSubTotal(item), 0);
+    const totalCost = realItems.reduce((sum, item) => sum + calculateItemTotal(item), 0);
+    const remaining = budget - totalCost;
+    const percentage = budget > 0 ? (totalCost / budget) * 100 : 0;
+
+    document.getElementById('metricTotalCost').textContent = `$${formatCurrency(totalCost, true)}`;
+    document.getElementById('metricTotalBreakdown').textContent = totalCost - preTaxCost >= 0.005
+      ? `${formatCurrency(preTaxCost)} pre-tax + ${formatCurrency(totalCost - preTaxCost)} tax & fees`
+      : 'No tax or fees';
+    document.getElementById('metricBudget').textContent = `$${formatCurrency(budget, true)}`;
+    document.getElementById('metricRemaining').textContent = `$${formatCurrency(Math.abs(remaining), true)}`;
+    document.getElementById('metricPercentage').textContent = `${percentage.toFixed(1)}%`;
+
+    const progressBar = document.getElementById('metricProgressBar');
+    progressBar.style.width = `${Math.min(percentage, 100)}%`;
+
+    const percentageElement = document.getElementById('metricPercentage');
+    const remainingElement = document.getElementById('metricRemaining');
+    const status = getBudgetStatus(totalCost, budget);
+
+    [percentageElement, remainingElement, progressBar].forEach(el => {
+      el.classList.remove('status-good', 'status-warning', 'status-danger');
+      el.classList.add(status);
+    });
+
+    if (remaining < 0) {
+      remainingElement.textContent = `-$${formatCurrency(Math.abs(remaining), true)}`;
+    }
+
+    // Payments against real items only (payments for deleted items cascade away)
+    const totalPaid = realItems.reduce((sum, item) => sum + calculatePaid(item), 0);
+    const totalCommitted = realItems.reduce((sum, item) => sum + calculateCommittedCost(item), 0);
+    const outstanding = totalCommitted - totalPaid;
+    document.getElementById('metricTotalPaid').textContent = `$${formatCurrency(totalPaid, true)}`;
+    document.getElementById('metricOutstanding').textContent = outstanding < 0
+      ? `-$${formatCurrency(Math.abs(outstanding), true)}`
+      : `$${formatCurrency(outstanding, true)}`;
+
+    // Variance across invoiced items only
+    const invoicedItems = realItems.filter(item => getActualCost(item) !== null);
+    const totalVariance = invoicedItems.reduce((sum, item) => sum + calculateVariance(item), 0);
+    const varianceElement = document.getElementById('metricVariance');
+    varianceElement.textContent = formatVariance(invoicedItems.length > 0 ? totalVariance : 0);
+    varianceElement.classList.remove('status-good', 'status-danger');
+    const totalVarianceStatus = getVarianceStatus(totalVariance);
+    if (totalVarianceStatus) {
+      varianceElement.classList.add(totalVarianceStatus);
+    }
+    const overCount = invoicedItems.filter(item => calculateVariance(item) > 0).length;
+    const underCount = invoicedItems.filter(item => calculateVariance(item) < 0).length;
+    document.getElementById('metricVarianceDetail').textContent = invoicedItems.length > 0
+      ? `${invoicedItems.length} invoiced · ${overCount} over · ${underCount} under`
+      : 'No invoiced items yet';
+
+    updateScenarioMetrics(totalCost);
+    renderGuestCount();
+    renderStatusFunnel();
+    renderCharts();
+
+    renderCategoryBudgets();
+    renderUpcomingPayments();
+    populateCategoryFilter();
+  }
+
+  /**
+   * Create a colored status label
+   */
+  function createStatusPill(status) {
+    const pill = document.createElement('span');
+    const value = ITEM_STATUSES.includes(status) ? status : 'idea';
+    pill.className = `status-pill status-pill-${value}`;
+    pill.textContent = ITEM_STATUS_LABELS[value];
+    return pill;
+  }
+
+  /**
+   * Render the status funnel: items and cost (with tax and fees) at each
+   * stage, and how much of the total is committed vs. still speculative.
+   * Clicking a stage filters the list to it.
+   */
+  function renderStatusFunnel() {
+    const realItems = getRealItems();
+    const totalCost = realItems.reduce((sum, item) => sum + calculateItemTotal(item), 0);
+    const stages = ITEM_STATUSES.map(status => {
+      const items = realItems.filter(item => item.status === status);
+      return { status, count: items.length, cost: items.reduce((sum, item) => sum + calculateItemTotal(item), 0) };
+    });
+
+    const container = document.getElementById('statusFunnel');
+    container.innerHTML = '';
+    stages.forEach(stage => {
+      const share = totalCost > 0 ? (stage.cost / totalCost) * 100 : 0;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `funnel-stage funnel-stage-${stage.status}`;
+      button.classList.toggle('active', document.getElementById('statusFilter').value === stage.status);
+      button.title = `Show ${ITEM_STATUS_LABELS[stage.status].toLowerCase()} items`;
+
+      const label = document.createElement('span');
+      label.className = 'funnel-label';
+      label.textContent = ITEM_STATUS_LABELS[stage.status];
+
+      const value = document.createElement('span');
+      value.className = 'funnel-value';
+      value.textContent = formatCurrency(stage.cost);
+
+      const detail = document.createElement('span');
+      detail.className = 'funnel-detail';
+      detail.textContent = `${stage.count} item${stage.count === 1 ? '' : 's'} · ${share.toFixed(0)}%`;
+
+      const bar = document.createElement('span');
+      bar.className = 'funnel-bar';
+      const fill = document.createElement('span');
+      fill.className = 'funnel-bar-fill';
+      fill.style.width = `${share}%`;
+      bar.appendChild(fill);
+
+      button.appendChild(label);
+      button.appendChild(value);
+      button.appendChild(detail);
+      button.appendChild(bar);
+      button.addEventListener('click', () => {
+        const select = document.getElementById('statusFilter');
+        select.value = select.value === stage.status ? '' : stage.status;
+        handleFilterChange();
+      });
+      container.appendChild(button);
+    });
+
+    const committed = stages
+      .filter(stage => COMMITTED_STATUSES.includes(stage.status))
+      .reduce((sum, stage) => sum + stage.cost, 0);
+    const speculative = totalCost - committed;
+    const committedShare = totalCost > 0 ? (committed / totalCost) * 100 : 0;
+    document.getElementById('statusFunnelSummary').textContent = totalCost > 0
+      ? `Committed (booked or paid): ${formatCurrency(committed)} (${committedShare.toFixed(0)}%) · ` +
+        `Still speculative: ${formatCurrency(speculative)} (${(100 - committedShare).toFixed(0)}%)`
+      : 'Add items with costs to see how much is committed.';
+  }
+
+  /**
+   * Redraw the dashboard charts: cost by category, required vs. optional,
+   * and (once payments exist) cumulative spend over time against the budget
+   */
+  function renderCharts() {
+    const formatValue = value => `$${Math.round(value).toLocaleString('en-US')}`;
+
+    budgetCharts.renderDonut(
+      document.getElementById('categoryChart'),
+      Object.entries(getSpentByCategory()).map(([label, value]) => ({ label, value })),
+      { centerLabel: 'estimated', formatValue, emptyMessage: 'Add items with costs to see the breakdown.' }
+    );
+
+    // "Yes" is required; "Maybe" is undecided; "No", "Optional" and blank are optional
+    const byRequirement = { Required: 0, Maybe: 0, Optional: 0 };
+    getRealItems().forEach(item => {
+      const required = (item.required || '').toLowerCase();
+      const group = required === 'yes' ? 'Required' : required === 'maybe' ? 'Maybe' : 'Optional';
+      byRequirement[group] += calculateItemTotal(item);
+    });
+    budgetCharts.renderDonut(
+      document.getElementById('requiredChart'),
+      [
+        { label: 'Required', value: byRequirement.Required, color: '#6A8FA1' },
+        { label: 'Maybe', value: byRequirement.Maybe, color: '#D4A574' },
+        { label: 'Optional', value: byRequirement.Optional, color: '#C16A47' }
+      ],
+      { centerLabel: 'estimated', formatValue, keepOrder: true, emptyMessage: 'Add items with costs to see the split.' }
+    );
+
+    // Cumulative paid amount per payment date, for items still in the budget
+    const itemIds = new Set(getRealItems().map(item => item.id));
+    const paidByDate = payments
+      .filter(payment => payment.paidOn && itemIds.has(payment.itemId))
+      .reduce((map, payment) => {
+        map[payment.paidOn] = (map[payment.paidOn] || 0) + payment.amount;
+        return map;
+      }, {});
+    const dates = Object.keys(paidByDate).sort();
+
+    document.getElementById('spendChartCard').style.display = dates.length > 0 ? '' : 'none';
+    if (dates.length > 0) {
+      let runningTotal = 0;
+      const points = dates.map(date => {
+        runningTotal += paidByDate[date];
+        return { date, value: runningTotal };
+      });
+      budgetCharts.renderLineChart(document.getElementById('spendChart'), points, {
+        formatValue,
+        target: { label: 'Budget', value: budget }
+      });
+    }
+  }
+
+  /**
+   * Render the per-category spent/allocated/remaining table
+   */
+  function renderCategoryBudgets() {
+    const tbody = document.querySelector('#categoryBudgetTable tbody');
+    const spentByCategory = getSpentByCategory();
+    const varianceByCategory = getVarianceByCategory();
+    const categories = [...new Set([
+      ...Object.keys(spentByCategory),
+      ...Object.keys(categoryAllocations)
+    ])].sort();
+
+    tbody.innerHTML = '';
+
+    if (categories.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 2rem; color: #6e6e73;">No categories yet.</td></tr>';
+      return;
+    }
+
+    categories.forEach(category => {
+      const spent = spentByCategory[category] || 0;
+      const allocated = categoryAllocations[category];
+      const hasAllocation = allocated !== undefined;
+
+      const tr = document.createElement('tr');
+
+      const tdCategory = document.createElement('td');
+      tdCategory.textContent = category;
+
+      const tdAllocated = document.createElement('td');
+      const allocatedInput = document.createElement('input');
+      allocatedInput.type = 'number';
+      allocatedInput.step = '0.01';
+      allocatedInput.min = '0';
+      allocatedInput.placeholder = 'Not set';
+      allocatedInput.className = 'inline-edit-input allocation-input';
+      allocatedInput.value = hasAllocation ? allocated : '';
+      allocatedInput.disabled = !canEditItems();
+      allocatedInput.setAttribute('aria-label', `Allocation for ${category}`);
+      allocatedInput.addEventListener('change', (e) => handleAllocationChange(e, category));
+      allocatedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') e.target.blur();
+      });
+      tdAllocated.appendChild(allocatedInput);
+
+      const tdSpent = document.createElement('td');
+      tdSpent.textContent = formatCurrency(spent);
+
+      const tdRemaining = document.createElement('td');
+      const tdUsed = document.createElement('td');
+
+      const categoryVariance = category in varianceByCategory ? varianceByCategory[category] : null;
+      const tdVariance = document.createElement('td');
+      tdVariance.textContent = formatVariance(categoryVariance);
+      tdVariance.className = getVarianceStatus(categoryVariance);
+
+      if (hasAllocation) {
+        const remaining = allocated - spent;
+        const percentage = allocated > 0 ? (spent / allocated) * 100 : 0;
+        const status = getBudgetStatus(spent, allocated);
+
+        tdRemaining.textContent = remaining < 0
+          ? `-${formatCurrency(Math.abs(remaining))}`
+          : formatCurrency(remaining);
+        tdRemaining.className = status;
+
+        const progress = document.createElement('div');
+        progress.className = 'metric-progress';
+        const bar = document.createElement('div');
+        bar.className = `metric-progress-bar ${status}`;
+        bar.style.width = `${Math.min(percentage, 100)}%`;
+        progress.appendChild(bar);
+
+        const label = document.createElement('span');
+        label.className = `category-percentage ${status}`;
+        label.textContent = `${percentage.toFixed(1)}%`;
+
+        tdUsed.appendChild(label);
+        tdUsed.appendChild(progress);
+      } else {
+        tdRemaining.textContent = '—';
+        tdUsed.textContent = '—';
+      }
+
+      tr.appendChild(tdCategory);
+      tr.appendChild(tdAllocated);
+      tr.appendChild(tdSpent);
+      tr.appendChild(tdRemaining);
+      tr.appendChild(tdVariance);
+      tr.appendChild(tdUsed);
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Open the category tax and fee rates modal
+   */
+  function openRatesModal() {
+    renderCategoryRates();
+    document.getElementById('ratesModal').classList.add('show');
+  }
+
+  /**
+   * Close the category tax and fee rates modal
+   */
+  function closeRatesModal() {
+    document.getElementById('ratesModal').classList.remove('show');
+  }
+
+  /**
+   * Render a row of default rate inputs for every category
+   */
+  function renderCategoryRates() {
+    const tbody = document.querySelector('#categoryRatesTable tbody');
+    const categories = [...new Set([
+      ...getRealItems().map(item => item.category).filter(Boolean),
+      ...Object.keys(categoryRates)
+    ])].sort();
+
+    tbody.innerHTML = '';
+    if (categories.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; padding: 2rem; color: #6e6e73;">No categories yet.</td></tr>';
+      return;
+    }
+
+    categories.forEach(category => {
+      const rates = categoryRates[category] || {};
+      const tr = document.createElement('tr');
+
+      const tdCategory = document.createElement('td');
+      tdCategory.textContent = category;
+      tr.appendChild(tdCategory);
+
+      RATE_FIELDS.forEach(field => {
+        const td = document.createElement('td');
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = '0.01';
+        input.min = '0';
+        input.placeholder = '0';
+        input.className = 'inline-edit-input allocation-input';
+        input.value = typeof rates[field.key] === 'number' ? rates[field.key] : '';
+        input.dataset.rate = field.key;
+        input.disabled = !canEditItems();
+        input.setAttribute('aria-label', `${field.label} rate for ${category}`);
+        input.addEventListener('change', () => handleCategoryRateChange(tr, category));
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') e.target.blur();
+        });
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Save a category's default rates when one of its inputs changes
+   */
+  async function handleCategoryRateChange(tr, category) {
+    const rates = {};
+    for (const input of tr.querySelectorAll('input[data-rate]')) {
+      const raw = input.value.trim();
+      const value = raw === '' ? null : parseFloat(raw);
+      if (value !== null && (isNaN(value) || value < 0)) {
+        showError('Rates must be percentages of zero or more.');
+        renderCategoryRates();
+        return;
+      }
+      rates[input.dataset.rate] = value;
+    }
+
+    if (!(await saveCategoryRates(category, rates))) {
+      showError(`Failed to save the rates for ${category}. Please try again.`);
+      renderCategoryRates();
+      return;
+    }
+
+    if (RATE_FIELDS.every(field => rates[field.key] === null)) {
+      delete categoryRates[category];
+    } else {
+      categoryRates[category] = rates;
+    }
+    if (currentEditingRow) {
+      updateSummary();
+    } else {
+      renderTable();
+    }
+  }
+
+  /**
+   * Save a category allocation when its input changes
+   */
+  async function handleAllocationChange(e, category) {
+    const input = e.target;
+    const raw = input.value.trim();
+    const amount = raw === '' ? null : parseFloat(raw);
+
+    if (amount !== null && (isNaN(amount) || amount < 0)) {
+      showError('Please enter a valid allocation amount.');
+      return;
+    }
+
+    const cell = input.parentElement;
+    showCellSaving(cell);
+
+    const saved = await saveCategoryAllocation(category, amount);
+    if (saved) {
+      if (amount === null) {
+        delete categoryAllocations[category];
+      } else {
+        categoryAllocations[category] = amount;
+      }
+      updateMetrics();
+    } else {
+      showCellError(cell);
+      showError(`Failed to update allocation for ${category}. Please try again.`);
+    }
+  }
+
+  /**
+   * Parse a DATE column value (YYYY-MM-DD) as a local date
+   */
+  function parseDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Whole days from today until a YYYY-MM-DD date (negative when past)
+   */
+  function daysUntil(dateString) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((parseDate(dateString) - today) / 86400000);
+  }
+
+  /**
+   * Render scheduled payments that are overdue or due within the selected range
+   */
+  function renderUpcomingPayments() {
+    const list = document.getElementById('upcomingPaymentsList');
+    const itemsById = new Map(getRealItems().map(item => [item.id, item]));
+
+    const scheduled = payments
+      .filter(payment => !payment.paidOn && payment.dueOn && itemsById.has(payment.itemId))
+      .map(payment => ({ ...payment, days: daysUntil(payment.dueOn) }));
+    const overdue = scheduled.filter(payment => payment.days < 0);
+    const upcoming = scheduled.filter(payment => payment.days >= 0 && payment.days <= upcomingRangeDays);
+    const visible = [...overdue, ...upcoming].sort((a, b) => a.days - b.days);
+
+    list.innerHTML = '';
+
+    if (visible.length === 0) {
+      list.innerHTML = `<li class="upcoming-empty">Nothing due in the next ${upcomingRangeDays} days.</li>`;
+    }
+
+    visible.forEach(payment => {
+      const item = itemsById.get(payment.itemId);
+      const li = document.createElement('li');
+      li.className = payment.days < 0 ? 'upcoming-row overdue' : 'upcoming-row';
+
+      const date = document.createElement('span');
+      date.className = 'upcoming-date';
+      date.textContent = parseDate(payment.dueOn).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      });
+
+      const link = document.createElement('a');
+      link.className = 'upcoming-item';
+      link.href = `item.html?id=${item.id}`;
+      link.textContent = `${item.item} (${payment.paymentType})`;
+
+      const when = document.createElement('span');
+      when.className = 'upcoming-when';
+      if (payment.days < 0) {
+        when.textContent = `${Math.abs(payment.days)} day${payment.days === -1 ? '' : 's'} overdue`;
+        when.classList.add('status-danger');
+      } else if (payment.days === 0) {
+        when.textContent = 'Due today';
+        when.classList.add('status-warning');
+      } else {
+        when.textContent = `in ${payment.days} day${payment.days === 1 ? '' : 's'}`;
+      }
+
+      const amount = document.createElement('span');
+      amount.className = 'upcoming-amount';
+      amount.textContent = formatCurrency(payment.amount);
+      if (payment.days < 0) {
+        amount.classList.add('status-danger');
+      }
+
+      li.appendChild(date);
+      li.appendChild(link);
+      li.appendChild(when);
+      li.appendChild(amount);
+      list.appendChild(li);
+    });
+
+    const upcomingTotal = upcoming.reduce((sum, payment) => sum + payment.amount, 0);
+    const overdueTotal = overdue.reduce((sum, payment) => sum + payment.amount, 0);
+    document.getElementById('upcomingTotal').textContent = formatCurrency(upcomingTotal);
+    document.getElementById('overdueSummary').textContent = overdue.length > 0
+      ? ` · Overdue: ${formatCurrency(overdueTotal)} (${overdue.length})`
+      : '';
+  }
+
+  /**
+   * Switch the upcoming payments range (30/60/90 days)
+   */
+  function handleRangeChange(e) {
+    upcomingRangeDays = parseInt(e.currentTarget.dataset.days, 10);
+    document.querySelectorAll('.range-btn').forEach(btn => {
+      btn.classList.toggle('active', btn === e.currentTarget);
+    });
+    renderUpcomingPayments();
+  }
+
+  /**
+   * Open the budget modal with the current amount and change history
+   */
+  async function openBudgetModal() {
+    document.getElementById('budgetAmountInput').value = budget.toFixed(2);
+    document.getElementById('budgetReasonInput').value = '';
+    document.getElementById('budgetModal').classList.add('show');
+    document.getElementById('budgetAmountInput').focus();
+    renderBudgetHistory(await fetchBudgetHistory());
+  }
+
+  /**
+   * Close the budget modal
+   */
+  function closeBudgetModal() {
+    document.getElementById('budgetModal').classList.remove('show');
+  }
+
+  /**
+   * Render the budget change history list
+   */
+  function renderBudgetHistory(history) {
+    const list = document.getElementById('budgetHistoryList');
+    list.innerHTML = '';
+
+    if (history.length === 0) {
+      list.innerHTML = '<li class="history-empty">No changes recorded yet.</li>';
+      return;
+    }
+
+    history.forEach(entry => {
+      const li = document.createElement('li');
+      const previous = entry.previous_amount !== null
+        ? formatCurrency(parseFloat(entry.previous_amount))
+        : '—';
+      const amounts = document.createElement('strong');
+      amounts.textContent = `${previous} → ${formatCurrency(parseFloat(entry.new_amount))}`;
 
-    // Required cell (index 3)
-    const requiredCell = cells[3];
-    const requiredValue = item.required || 'No';
-    requiredCell.innerHTML = '';
-    const requiredSelect = document.createElement('select');
-    requiredSelect.className = 'inline-edit-select';
-    requiredSelect.dataset.field = 'required';
-    const options = ['Yes', 'No', 'Maybe', 'Optional'];
-    options.forEach(opt => {
-      const option = document.createElement('option');
-      option.value = opt;
-      option.textContent = opt;
-      option.selected = opt === requiredValue;
-      requiredSelect.appendChild(option);
+      const date = document.createElement('span');
+      date.className = 'history-date';
+      date.textContent = new Date(entry.changed_at).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+      });
+
+      li.appendChild(amounts);
+      li.appendChild(date);
+
+      if (entry.reason) {
+        const reason = document.createElement('div');
+        reason.className = 'history-reason';
+        reason.textContent = entry.reason;
+        li.appendChild(reason);
+      }
+
+      list.appendChild(li);
     });
-    requiredSelect.addEventListener('blur', (e) => handleFieldBlur(e, item));
-    requiredSelect.addEventListener('change', (e) => handleFieldBlur(e, item));
-    requiredSelect.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
-    requiredCell.appendChild(requiredSelect);
+  }
 
-    // Unit Cost cell (index 4)
-    const unitCostCell = cells[4];
-    const unitCostValue = item.unitCost !== null && item.unitCost !== undefined ? item.unitCost : '';
-    unitCostCell.innerHTML = '';
-    const unitCostInput = document.createElement('input');
-    unitCostInput.type = 'number';
-    unitCostInput.step = '0.01';
-    unitCostInput.min = '0';
-    unitCostInput.value = unitCostValue;
-    unitCostInput.className = 'inline-edit-input';
-    unitCostInput.dataset.field = 'unitCost';
-    unitCostInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
-    unitCostInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
-    unitCostCell.appendChild(unitCostInput);
+  /**
+   * Handle budget form submission
+   */
+  async function handleBudgetSubmit(e) {
+    e.preventDefault();
+    const amount = parseFloat(document.getElementById('budgetAmountInput').value);
+    const reason = document.getElementById('budgetReasonInput').value.trim();
 
-    // Quantity cell (index 5)
-    const quantityCell = cells[5];
-    const quantityValue = item.quantity !== null && item.quantity !== undefined ? item.quantity : '';
-    quantityCell.innerHTML = '';
-    const quantityInput = document.createElement('input');
-    quantityInput.type = 'number';
-    quantityInput.step = '0.01';
-    quantityInput.min = '0';
-    quantityInput.value = quantityValue;
-    quantityInput.className = 'inline-edit-input';
-    quantityInput.dataset.field = 'quantity';
-    quantityInput.addEventListener('blur', (e) => handleFieldBlur(e, item));
-    quantityInput.addEventListener('keydown', (e) => handleKeyDown(e, rowElement));
-    quantityCell.appendChild(quantityInput);
+    if (isNaN(amount) || amount < 0) {
+      showError('Please enter a valid budget amount.');
+      return;
+    }
 
-    // Update actions column (index 7)
-    const actionsCell = cells[7];
-    actionsCell.innerHTML = '';
+    if (amount === budget) {
+      closeBudgetModal();
+      return;
+    }
 
-    const doneBtn = document.createElement('button');
-    doneBtn.className = 'btn-success';
-    doneBtn.textContent = '✓ Done';
-    doneBtn.setAttribute('aria-label', 'Exit edit mode');
-    doneBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exitEditMode(rowElement, true);
-    });
+    const saveBtn = document.getElementById('budgetSaveBtn');
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
 
-    const deleteBtn = document.createElement('button');
-    deleteBtn.className = 'btn-danger';
-    deleteBtn.textContent = 'Delete';
-    deleteBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      handleDelete(item.id);
-    });
+    const saved = await saveBudget(amount, reason);
 
-    actionsCell.appendChild(doneBtn);
-    actionsCell.appendChild(deleteBtn);
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save Budget';
+
+    if (saved) {
+      budget = amount;
+      updateMetrics();
+      closeBudgetModal();
+      showSuccess('Budget updated successfully.');
+    }
   }
 
   /**
-   * Handle key presses in edit mode
+   * Show the guest count and how many items depend on it
    */
-  function handleKeyDown(e, rowElement) {
-    if (e.key === 'Escape') {
-      exitEditMode(rowElement, false);
-    } else if (e.key === 'Enter' && e.target.tagName !== 'SELECT') {
-      e.target.blur();
+  function renderGuestCount() {
+    const input = document.getElementById('guestCountInput');
+    if (document.activeElement !== input) {
+      input.value = guestCount !== null ? guestCount : '';
     }
+
+    const dependent = getRealItems().filter(item => item.quantityBasis && item.quantityBasis !== 'fixed').length;
+    document.getElementById('guestCountDetail').textContent = dependent === 0
+      ? 'No per-guest or per-table items'
+      : `${dependent} item${dependent === 1 ? '' : 's'} priced per guest or table`;
   }
 
   /**
-   * Handle field blur - auto-save changes
+   * Parse the guest count input: a whole number, null when empty, or
+   * undefined when invalid
    */
-  async function handleFieldBlur(e, item) {
-    const input = e.target;
-    const field = input.dataset.field;
-    let newValue = input.value.trim();
+  function readGuestCountInput() {
+    const raw = document.getElementById('guestCountInput').value.trim();
+    if (raw === '') return null;
+    const count = Number(raw);
+    return Number.isInteger(count) && count >= 0 ? count : undefined;
+  }
 
-    // Convert numeric fields
-    if (field === 'unitCost' || field === 'quantity') {
-      newValue = newValue === '' ? null : parseFloat(newValue);
+  /**
+   * Recalculate dependent subtotals and the metrics as the guest count is typed
+   */
+  function handleGuestCountInput() {
+    const count = readGuestCountInput();
+    if (count === undefined) return;
+
+    guestCount = count;
+    if (currentEditingRow) {
+      updateSummary();
+    } else {
+      renderTable();
     }
+  }
 
-    // Check if value actually changed
-    const oldValue = item[field];
-    if (oldValue === newValue) {
-      return; // No change, don't save
+  /**
+   * Save the guest count once the input is committed
+   */
+  async function handleGuestCountChange() {
+    const count = readGuestCountInput();
+    if (count === undefined) {
+      showError('Please enter the guest count as a whole number.');
+      restoreSavedGuestCount();
+      return;
     }
+    if (count === savedGuestCount) return;
 
-    // Show saving state
-    const cell = input.parentElement;
-    showCellSaving(cell);
+    if (await saveGuestCount(count)) {
+      savedGuestCount = count;
+      guestCount = count;
+      cacheListData();
+      showSuccess(count === null ? 'Guest count cleared.' : `Guest count set to ${count}.`);
+    } else {
+      restoreSavedGuestCount();
+    }
+  }
 
-    // Check if this is a new item (temp ID)
-    const isNewItem = typeof item.id === 'string' && item.id.startsWith('new-item-temp-');
+  /**
+   * Put the input and totals back to the last saved guest count
+   */
+  function restoreSavedGuestCount() {
+    guestCount = savedGuestCount;
+    document.getElementById('guestCountInput').value = guestCount !== null ? guestCount : '';
+    if (currentEditingRow) {
+      updateSummary();
+    } else {
+      renderTable();
+    }
+  }
 
-    if (isNewItem) {
-      // For new items, we need to create the item first
-      // Update the item object locally
-      item[field] = newValue;
+  /**
+   * Parse CSV text into an array of rows (arrays of strings).
+   * Handles quoted fields, escaped quotes ("") and newlines inside quotes.
+   */
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
 
-      // Check if we have minimum required fields (category and item name)
-      if (item.category && item.item) {
-        // Create the item in the database
-        const created = await createItem(item);
-        if (created) {
-          // Replace temp item with real item in originalData
-          const index = originalData.findIndex(i => i.id === item.id);
-          if (index !== -1) {
-            originalData[index] = created;
-          }
-          // Update the item reference
-          Object.assign(item, created);
-          showCellSaved(cell);
-          applyFilters();
-          renderTable();
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
         } else {
-          showCellError(cell);
+          field += char;
         }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
       } else {
-        // Not enough data to create yet, just update locally
-        showCellSaved(cell);
+        field += char;
       }
-    } else {
-      // Existing item - update single field
-      const dbFieldName = camelToSnake(field);
-      const updated = await updateItemField(item.id, dbFieldName, newValue);
+    }
 
-      if (updated) {
-        // Update local data
-        item[field] = newValue;
-        const index = originalData.findIndex(i => i.id === item.id);
-        if (index !== -1) {
-          originalData[index] = { ...originalData[index], [field]: newValue };
-        }
-        showCellSaved(cell);
-        updateSummary();
-      } else {
-        // Revert on error
-        if (field === 'unitCost' || field === 'quantity') {
-          input.value = oldValue !== null && oldValue !== undefined ? oldValue : '';
-        } else {
-          input.value = oldValue || '';
-        }
-        showCellError(cell);
-        showError(`Failed to update ${field}. Please try again.`);
-      }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
     }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
   }
 
   /**
-   * Convert camelCase to snake_case
+   * Quote a value for CSV output when it contains a delimiter, quote or newline
    */
-  function camelToSnake(str) {
-    return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+  function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
   }
 
   /**
-   * Show saving state on a cell
+   * Export the currently filtered and sorted rows to a CSV download
    */
-  function showCellSaving(cell) {
-    cell.classList.remove('cell-saved', 'cell-error');
-    cell.classList.add('cell-saving');
+  function exportCsv() {
+    applyFilters();
+    sortData();
+    const rows = filteredData.filter(item =>
+      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
+    );
+
+    if (rows.length === 0) {
+      showError('There are no items to export with the current filters.');
+      return;
+    }
+
+    const vendorNames = new Map(vendors.map(vendor => [vendor.id, vendor.name]));
+    const headers = [...CSV_FIELDS.map(field => field.label), 'Paid', 'Balance Due', 'Vendor'];
+    const lines = [headers.map(toCsvValue).join(',')];
+
+    rows.forEach(item => {
+      const values = CSV_FIELDS.map(field => {
+        if (field.key === 'subTotal') return calculateSubTotal(item).toFixed(2);
+        if (field.list) return (item[field.key] || []).join(', ');
+        if (field.key === 'status') return ITEM_STATUS_LABELS[item.status] || '';
+        return item[field.key];
+      });
+      values.push(
+        calculatePaid(item).toFixed(2),
+        calculateBalanceDue(item).toFixed(2),
+        vendorNames.get(item.vendorId) || ''
+      );
+      lines.push(values.map(toCsvValue).join(','));
+    });
+
+    const blob = new Blob([lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wedding-budget-${new Date().toISOString().slice(0, 10)}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 
   /**
-   * Show saved state on a cell
+   * Open the CSV import modal in its initial (no file) state
    */
-  function showCellSaved(cell) {
-    cell.classList.remove('cell-saving', 'cell-error');
-    cell.classList.add('cell-saved');
-    setTimeout(() => {
-      cell.classList.remove('cell-saved');
-    }, 2000);
+  function openCsvImportModal() {
+    csvHeaders = [];
+    csvRows = [];
+    document.getElementById('csvFileInput').value = '';
+    document.getElementById('csvMappingSection').style.display = 'none';
+    document.getElementById('csvImportConfirmBtn').disabled = true;
+    document.getElementById('csvImportConfirmBtn').textContent = 'Import';
+    document.getElementById('csvImportModal').classList.add('show');
   }
 
   /**
-   * Show error state on a cell
+   * Close the CSV import modal
    */
-  function showCellError(cell) {
-    cell.classList.remove('cell-saving', 'cell-saved');
-    cell.classList.add('cell-error');
-    setTimeout(() => {
-      cell.classList.remove('cell-error');
-    }, 3000);
+  function closeCsvImportModal() {
+    document.getElementById('csvImportModal').classList.remove('show');
   }
 
   /**
-   * Exit edit mode for a table row
+   * Read and parse the selected CSV file, then build the column mapping
    */
-  function exitEditMode(rowElement, save) {
-    if (!rowElement) return;
+  function handleCsvFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
 
-    rowElement.classList.remove('row-editing');
-    currentEditingRow = null;
-    editingItemBackup = null;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const rows = parseCsv(reader.result);
+      if (rows.length < 2) {
+        showError('The CSV file needs a header row and at least one data row.');
+        return;
+      }
 
-    // Re-render the entire table to restore normal view
-    renderTable();
+      csvHeaders = rows[0].map(header => header.trim());
+      csvRows = rows.slice(1);
+      renderCsvMapping();
+      renderCsvPreview();
+      document.getElementById('csvMappingSection').style.display = 'block';
+    };
+    reader.onerror = () => showError('Could not read the selected file.');
+    reader.readAsText(file);
   }
 
   /**
-   * Add a new blank item row at the top of the table
+   * Render one column-mapping select per importable field, pre-selecting
+   * the CSV column whose header matches one of the field's aliases
    */
-  function addNewItemRow() {
-    // Check if there's already a new item row
-    const hasNewItem = originalData.some(item =>
-      typeof item.id === 'string' && item.id.startsWith('new-item-temp-')
-    );
+  function renderCsvMapping() {
+    const container = document.getElementById('csvMapping');
+    container.innerHTML = '';
+    const normalizedHeaders = csvHeaders.map(header => header.toLowerCase());
 
-    if (hasNewItem) {
-      showError('Please complete or delete the existing new item first.');
-      return;
-    }
+    CSV_FIELDS.forEach(field => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
 
-    // Create a new temporary item
-    const newItem = {
-      id: `new-item-temp-${Date.now()}`,
-      category: '',
-      item: '',
-      required: 'No',
-      notes: '',
-      unitCost: null,
-      quantity: null,
-      subTotal: null,
-      mdContent: ''
-    };
+      const label = document.createElement('label');
+      label.htmlFor = `csvMap-${field.key}`;
+      label.textContent = field.required ? `${field.label} *` : field.label;
+
+      const select = document.createElement('select');
+      select.id = `csvMap-${field.key}`;
+      select.dataset.field = field.key;
+      select.innerHTML = '<option value="">— Skip —</option>';
+      csvHeaders.forEach((header, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = header || `Column ${index + 1}`;
+        select.appendChild(option);
+      });
+
+      const match = normalizedHeaders.findIndex(header => field.aliases.includes(header));
+      if (match !== -1) {
+        select.value = match;
+      }
+      select.addEventListener('change', renderCsvPreview);
+
+      group.appendChild(label);
+      group.appendChild(select);
+      container.appendChild(group);
+    });
+  }
+
+  /**
+   * Get the current mapping of field key -> CSV column index
+   */
+  function getCsvMapping() {
+    const mapping = {};
+    document.querySelectorAll('#csvMapping select').forEach(select => {
+      if (select.value !== '') {
+        mapping[select.dataset.field] = parseInt(select.value, 10);
+      }
+    });
+    return mapping;
+  }
+
+  /**
+   * Parse a currency/number cell such as "$1,200.50".
+   * Returns null for an empty cell and NaN when the value is not a number.
+   */
+  function parseCsvNumber(value) {
+    const cleaned = value.replace(/[$,\s]/g, '');
+    return cleaned === '' ? null : Number(cleaned);
+  }
+
+  /**
+   * Normalize a "required" cell to one of REQUIRED_OPTIONS, or null if unknown
+   */
+  function parseCsvRequired(value) {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === '') return 'No';
+    if (['y', 'yes', 'true', '1'].includes(normalized)) return 'Yes';
+    if (['n', 'no', 'false', '0'].includes(normalized)) return 'No';
+    return REQUIRED_OPTIONS.find(option => option.toLowerCase() === normalized) || null;
+  }
+
+  /**
+   * Normalize a "status" cell to one of ITEM_STATUSES (by value or label), or
+   * null if unknown
+   */
+  function parseCsvStatus(value) {
+    const normalized = value.trim().toLowerCase();
+    if (normalized === '') return 'idea';
+    return ITEM_STATUSES.find(status =>
+      status === normalized || ITEM_STATUS_LABELS[status].toLowerCase() === normalized
+    ) || null;
+  }
+
+  /**
+   * Convert CSV rows into items using the mapping, collecting per-row errors
+   */
+  function buildCsvItems(mapping) {
+    return csvRows.map((row, index) => {
+      const item = {};
+      const errors = [];
+
+      CSV_FIELDS.forEach(field => {
+        const column = mapping[field.key];
+        const raw = column !== undefined && row[column] !== undefined ? row[column].trim() : '';
+
+        if (field.required && !raw) {
+          errors.push(`${field.label} is required`);
+        }
+
+        if (field.numeric) {
+          const number = parseCsvNumber(raw);
+          if (number !== null && (isNaN(number) || number < 0)) {
+            errors.push(`${field.label} "${raw}" is not a valid amount`);
+          }
+          item[field.key] = number !== null && !isNaN(number) ? number : null;
+        } else if (field.key === 'required') {
+          const required = parseCsvRequired(raw);
+          if (required === null) {
+            errors.push(`Required "${raw}" must be one of ${REQUIRED_OPTIONS.join(', ')}`);
+          }
+          item.required = required || 'No';
+        } else if (field.key === 'status') {
+          const status = parseCsvStatus(raw);
+          if (status === null) {
+            errors.push(`Status "${raw}" must be one of ${Object.values(ITEM_STATUS_LABELS).join(', ')}`);
+          }
+          item.status = status || 'idea';
+        } else if (field.list) {
+          item[field.key] = normalizeTags(raw.split(/[,;]/));
+        } else {
+          item[field.key] = raw;
+        }
+      });
+
+      return { rowNumber: index + 2, item, errors };
+    });
+  }
+
+  /**
+   * Render the import preview table and validation summary
+   */
+  function renderCsvPreview() {
+    const mapping = getCsvMapping();
+    const results = buildCsvItems(mapping);
+    const validCount = results.filter(result => result.errors.length === 0).length;
+    const invalidCount = results.length - validCount;
 
-    // Add to the beginning of originalData
-    originalData.unshift(newItem);
+    const thead = document.querySelector('#csvPreviewTable thead');
+    const tbody = document.querySelector('#csvPreviewTable tbody');
+    thead.innerHTML = '';
+    tbody.innerHTML = '';
 
-    // Reapply filters and render
-    applyFilters();
-    renderTable();
+    const headerRow = document.createElement('tr');
+    ['Row', ...CSV_FIELDS.map(field => field.label), 'Errors'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
 
-    // Automatically enter edit mode for the new row
-    const tbody = document.querySelector('#dataTable tbody');
-    const firstRow = tbody.querySelector('tr');
-    if (firstRow) {
-      enterEditMode(firstRow, newItem);
-      // Focus on the category input
-      const categoryInput = firstRow.querySelector('input[data-field="category"]');
-      if (categoryInput) {
-        categoryInput.focus();
+    results.slice(0, CSV_PREVIEW_ROWS).forEach(result => {
+      const tr = document.createElement('tr');
+      if (result.errors.length > 0) {
+        tr.className = 'csv-row-invalid';
       }
-    }
+
+      const tdRow = document.createElement('td');
+      tdRow.textContent = result.rowNumber;
+      tr.appendChild(tdRow);
+
+      CSV_FIELDS.forEach(field => {
+        const td = document.createElement('td');
+        const value = result.item[field.key];
+        if (field.numeric) {
+          td.textContent = formatCurrency(value);
+        } else if (field.list) {
+          td.textContent = value.join(', ');
+        } else if (field.key === 'status') {
+          td.textContent = ITEM_STATUS_LABELS[value];
+        } else {
+          td.textContent = value || '';
+        }
+        tr.appendChild(td);
+      });
+
+      const tdErrors = document.createElement('td');
+      tdErrors.className = 'status-danger';
+      tdErrors.textContent = result.errors.join('; ');
+      tr.appendChild(tdErrors);
+
+      tbody.appendChild(tr);
+    });
+
+    const summary = document.getElementById('csvValidationSummary');
+    summary.textContent = `${validCount} of ${results.length} rows ready to import` +
+      (invalidCount > 0 ? ` · ${invalidCount} with errors will be skipped` : '') +
+      (results.length > CSV_PREVIEW_ROWS ? ` · showing first ${CSV_PREVIEW_ROWS}` : '');
+    summary.classList.toggle('status-danger', invalidCount > 0);
+
+    const confirmBtn = document.getElementById('csvImportConfirmBtn');
+    confirmBtn.disabled = validCount === 0;
+    confirmBtn.textContent = `Import ${validCount} Item${validCount === 1 ? '' : 's'}`;
   }
 
   /**
-   * Handle delete button click
+   * Bulk-create the valid preview rows
    */
-  async function handleDelete(id) {
-    // Check if this is a temp new item
-    const isNewItem = typeof id === 'string' && id.startsWith('new-item-temp-');
+  async function handleCsvImport() {
+    const items = buildCsvItems(getCsvMapping())
+      .filter(result => result.errors.length === 0)
+      .map(result => result.item);
 
-    if (isNewItem) {
-      // Just remove from local array, no API call needed
-      originalData = originalData.filter(item => item.id !== id);
-      applyFilters();
-      renderTable();
-      return;
-    }
+    if (items.length === 0) return;
 
-    if (!confirm('Are you sure you want to delete this item? This action cannot be undone.')) {
-      return;
-    }
+    const confirmBtn = document.getElementById('csvImportConfirmBtn');
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Importing...';
 
-    const success = await deleteItem(id);
-    if (success) {
-      // Remove from local data
-      originalData = originalData.filter(item => item.id !== id);
+    const created = await createItems(items);
+
+    if (created) {
+      const createdIds = new Set(created.map(item => item.id));
+      originalData = [...originalData.filter(item => !createdIds.has(item.id)), ...created];
       applyFilters();
       renderTable();
-      showSuccess('Item deleted successfully.');
+      closeCsvImportModal();
+      showSuccess(`Imported ${created.length} item${created.length === 1 ? '' : 's'}.`);
+    } else {
+      confirmBtn.disabled = false;
+      confirmBtn.textContent = `Import ${items.length} Item${items.length === 1 ? '' : 's'}`;
     }
   }
 
   /**
-   * Populate the category filter select and datalist with unique categories
+   * Download a JSON backup of every budget_items row
    */
-  function populateCategoryFilter() {
-    const select = document.getElementById('categoryFilter');
-    const datalist = document.getElementById('categoryList');
+  async function downloadBackup() {
+    const backupBtn = document.getElementById('backupBtn');
+    backupBtn.disabled = true;
 
-    // Clear existing options
-    select.innerHTML = '<option value="">All Categories</option>';
-    datalist.innerHTML = '';
+    const rows = await fetchRawItems();
 
-    const categories = [...new Set(originalData
-      .map(item => item.category)
-      .filter(cat => cat && typeof cat === 'string' && cat.trim() !== '')
-    )].sort();
+    backupBtn.disabled = false;
+    if (!rows) return;
 
-    categories.forEach(cat => {
-      // Add to filter dropdown
-      const option = document.createElement('option');
-      option.value = cat;
-      option.textContent = cat;
-      select.appendChild(option);
+    const backup = {
+      version: BACKUP_VERSION,
+      exported_at: new Date().toISOString(),
+      budget_items: rows
+    };
 
-      // Add to datalist for autocomplete
-      const datalistOption = document.createElement('option');
-      datalistOption.value = cat;
-      datalist.appendChild(datalistOption);
-    });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wedding-budget-backup-${backup.exported_at.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    showSuccess(`Backed up ${rows.length} item${rows.length === 1 ? '' : 's'}.`);
   }
 
   /**
-   * Handle changes to any filter inputs
+   * Open the restore modal in its initial (no file) state
    */
-  function handleFilterChange() {
-    applyFilters();
-    renderTable();
+  function openRestoreModal() {
+    restoreDiffs = [];
+    document.getElementById('restoreFileInput').value = '';
+    document.getElementById('restoreDiffSection').style.display = 'none';
+    document.getElementById('restoreConfirmBtn').disabled = true;
+    document.getElementById('restoreModal').classList.add('show');
   }
 
   /**
-   * Apply the current search, category and required filters
+   * Close the restore modal
    */
-  function applyFilters() {
-    const searchTerm = document.getElementById('searchInput').value.trim().toLowerCase();
-    const categoryValue = document.getElementById('categoryFilter').value;
-    const requiredOnly = document.getElementById('requiredFilter').checked;
-    filteredData = originalData.filter(item => {
-      const matchesSearch = !searchTerm ||
-        (item.item && item.item.toLowerCase().includes(searchTerm)) ||
-        (item.category && item.category.toLowerCase().includes(searchTerm));
-      const matchesCategory = !categoryValue || item.category === categoryValue;
-      const matchesRequired = !requiredOnly || (item.required && item.required.toLowerCase().startsWith('y'));
-      return matchesSearch && matchesCategory && matchesRequired;
-    });
+  function closeRestoreModal() {
+    document.getElementById('restoreModal').classList.remove('show');
   }
 
   /**
-   * Sort the filtered data
+   * Read the selected backup file and diff it against the database
    */
-  function sortData() {
-    const key = currentSort.key;
-    const asc = currentSort.asc;
-    filteredData.sort((a, b) => {
-      let va = a[key];
-      let vb = b[key];
+  function handleRestoreFileSelected(e) {
+    const file = e.target.files[0];
+    if (!file) return;
 
-      if (key === 'subTotal') {
-        va = calculateSubTotal(a);
-        vb = calculateSubTotal(b);
+    const reader = new FileReader();
+    reader.onload = async () => {
+      let backup;
+      try {
+        backup = JSON.parse(reader.result);
+      } catch (err) {
+        showError('The selected file is not valid JSON.');
+        return;
       }
 
-      if (va === undefined || va === null) va = '';
-      if (vb === undefined || vb === null) vb = '';
-
-      if (typeof va === 'number' && typeof vb === 'number') {
-        return asc ? va - vb : vb - va;
+      if (!backup || !Array.isArray(backup.budget_items)) {
+        showError('The selected file is not a budget backup.');
+        return;
       }
 
-      const sa = String(va).toLowerCase();
-      const sb = String(vb).toLowerCase();
-      if (sa < sb) return asc ? -1 : 1;
-      if (sa > sb) return asc ? 1 : -1;
-      return 0;
-    });
+      const currentRows = await fetchRawItems();
+      if (!currentRows) return;
+
+      restoreDiffs = diffBackup(backup.budget_items, currentRows);
+      renderRestoreDiffs(backup, currentRows);
+    };
+    reader.onerror = () => showError('Could not read the selected file.');
+    reader.readAsText(file);
   }
 
   /**
-   * Render the table body with action buttons
+   * Compare backup rows to current rows by id. Returns one entry per backup
+   * row that is missing from the database ("deleted") or differs ("changed").
+   * Missing rows from another workspace's backup are flagged `copy`: their
+   * ids belong to that workspace, so they are restored as new items.
    */
-  function renderTable() {
-    sortData();
-    const tbody = document.querySelector('#dataTable tbody');
-    tbody.innerHTML = '';
+  function diffBackup(backupRows, currentRows) {
+    const currentById = new Map(currentRows.map(row => [row.id, row]));
+    const diffs = [];
 
-    if (filteredData.length === 0) {
-      tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem; color: #6e6e73;">No items found matching your filters.</td></tr>';
-      updateSummary();
-      return;
-    }
+    backupRows.forEach(backupRow => {
+      const currentRow = currentById.get(backupRow.id);
 
-    filteredData.forEach((item, index) => {
-      const tr = document.createElement('tr');
-      tr.dataset.itemId = item.id;
-      const subTotal = calculateSubTotal(item);
-      const displayIndex = index + 1;
+      if (!currentRow) {
+        const copy = backupRow.workspace_id !== workspaceId;
+        diffs.push({ type: 'deleted', copy, backupRow, changes: [] });
+        return;
+      }
 
-      const tdId = document.createElement('td');
-      tdId.textContent = displayIndex;
+      const changes = Object.keys(backupRow)
+        .filter(field => !BACKUP_IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify(backupRow[field]) !== JSON.stringify(currentRow[field]))
+        .map(field => ({ field, current: currentRow[field], backup: backupRow[field] }));
 
-      const tdCategory = document.createElement('td');
-      tdCategory.textContent = item.category || '';
+      if (changes.length > 0) {
+        diffs.push({ type: 'changed', backupRow, changes });
+      }
+    });
 
-      const tdItem = document.createElement('td');
-      tdItem.textContent = item.item || '';
+    return diffs;
+  }
 
-      const tdRequired = document.createElement('td');
-      tdRequired.textContent = item.required || '';
+  /**
+   * Shorten a value for display in the restore diff list
+   */
+  function formatDiffValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    const str = String(value);
+    return str.length > 80 ? `${str.slice(0, 80)}…` : str;
+  }
 
-      const tdUnitCost = document.createElement('td');
-      tdUnitCost.textContent = formatCurrency(item.unitCost);
+  /**
+   * Render the list of restorable differences with a checkbox for each
+   */
+  function renderRestoreDiffs(backup, currentRows) {
+    const list = document.getElementById('restoreDiffList');
+    const backupIds = new Set(backup.budget_items.map(row => row.id));
+    const newSinceBackup = currentRows.filter(row => !backupIds.has(row.id)).length;
+    const deletedCount = restoreDiffs.filter(diff => diff.type === 'deleted').length;
+    const changedCount = restoreDiffs.length - deletedCount;
+    const backupDate = backup.exported_at ? new Date(backup.exported_at).toLocaleString('en-US') : 'unknown date';
 
-      const tdQuantity = document.createElement('td');
-      tdQuantity.textContent = item.quantity !== null && item.quantity !== undefined ? item.quantity : '1';
+    document.getElementById('restoreSummary').textContent =
+      `Backup from ${backupDate}: ${deletedCount} deleted since, ${changedCount} changed since` +
+      (newSinceBackup > 0 ? `, ${newSinceBackup} added since (left untouched)` : '');
 
-      const tdSubTotal = document.createElement('td');
-      tdSubTotal.textContent = formatCurrency(subTotal);
+    list.innerHTML = '';
 
-      const tdActions = document.createElement('td');
-      tdActions.className = 'action-buttons';
+    if (restoreDiffs.length === 0) {
+      list.innerHTML = '<li class="history-empty">The database already matches this backup.</li>';
+    }
 
-      const editBtn = document.createElement('button');
-      editBtn.className = 'btn-edit';
-      editBtn.innerHTML = '&#9998; Edit'; // Pencil icon
-      editBtn.setAttribute('aria-label', 'Edit item');
-      editBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        enterEditMode(tr, item);
-      });
+    restoreDiffs.forEach((diff, index) => {
+      const li = document.createElement('li');
+      li.className = `restore-diff restore-diff-${diff.type}`;
 
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'btn-danger';
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        handleDelete(item.id);
-      });
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.index = index;
+      checkbox.addEventListener('change', updateRestoreConfirm);
 
-      tdActions.appendChild(editBtn);
-      tdActions.appendChild(deleteBtn);
+      const title = document.createElement('strong');
+      title.textContent = `${diff.backupRow.item || 'Untitled'} (${diff.backupRow.category || 'No category'})`;
 
-      tr.appendChild(tdId);
-      tr.appendChild(tdCategory);
-      tr.appendChild(tdItem);
-      tr.appendChild(tdRequired);
-      tr.appendChild(tdUnitCost);
-      tr.appendChild(tdQuantity);
-      tr.appendChild(tdSubTotal);
-      tr.appendChild(tdActions);
+      const badge = document.createElement('span');
+      badge.className = 'badge restore-badge';
+      badge.textContent = diff.copy ? 'From another workspace' : diff.type === 'deleted' ? 'Deleted' : 'Changed';
 
-      // Click on row to view details (except actions column and new items)
-      const isNewItem = typeof item.id === 'string' && item.id.startsWith('new-item-temp-');
-      if (!isNewItem) {
-        [tdId, tdCategory, tdItem, tdRequired, tdUnitCost, tdQuantity, tdSubTotal].forEach(td => {
-          td.addEventListener('click', (e) => {
-            // Don't navigate if row is in edit mode
-            if (tr.classList.contains('row-editing')) {
-              return;
-            }
-            window.location.href = `item.html?id=${item.id}`;
-          });
-          td.style.cursor = 'pointer';
+      label.appendChild(checkbox);
+      label.appendChild(title);
+      label.appendChild(badge);
+      li.appendChild(label);
+
+      if (diff.changes.length > 0) {
+        const changes = document.createElement('ul');
+        changes.className = 'restore-changes';
+        diff.changes.forEach(change => {
+          const changeItem = document.createElement('li');
+          changeItem.textContent = `${change.field}: ${formatDiffValue(change.current)} → ${formatDiffValue(change.backup)}`;
+          changes.appendChild(changeItem);
         });
+        li.appendChild(changes);
       }
 
-      tbody.appendChild(tr);
+      list.appendChild(li);
     });
-    updateSummary();
+
+    document.getElementById('restoreSelectAll').checked = false;
+    document.getElementById('restoreDiffSection').style.display = 'block';
+    updateRestoreConfirm();
   }
 
   /**
-   * Update sort indicators on table headers
+   * Get the diffs whose checkboxes are ticked
    */
-  function updateSortIndicators() {
-    document.querySelectorAll('th[data-sort]').forEach(th => {
-      th.classList.remove('sort-asc', 'sort-desc');
-      const key = th.getAttribute('data-sort');
-      if (currentSort.key === key) {
-        th.classList.add(currentSort.asc ? 'sort-asc' : 'sort-desc');
-      }
-    });
+  function getSelectedRestoreDiffs() {
+    return [...document.querySelectorAll('#restoreDiffList input[type="checkbox"]:checked')]
+      .map(checkbox => restoreDiffs[parseInt(checkbox.dataset.index, 10)]);
   }
 
   /**
-   * Update the summary counts and totals display
+   * Enable the restore button and update its label for the current selection
    */
-  function updateSummary() {
-    // Filter out temp new items for counts
-    const realOriginalData = originalData.filter(item =>
-      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
-    );
-    const realFilteredData = filteredData.filter(item =>
-      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
-    );
+  function updateRestoreConfirm() {
+    const count = getSelectedRestoreDiffs().length;
+    const confirmBtn = document.getElementById('restoreConfirmBtn');
+    confirmBtn.disabled = count === 0;
+    confirmBtn.textContent = count > 0 ? `Restore ${count} Item${count === 1 ? '' : 's'}` : 'Restore Selected';
+  }
 
-    document.getElementById('totalCount').textContent = realOriginalData.length;
-    document.getElementById('visibleCount').textContent = realFilteredData.length;
-    const total = filteredData.reduce((sum, item) => sum + calculateSubTotal(item), 0);
-    document.getElementById('totalCost').textContent = formatCurrency(total, true);
-    updateMetrics();
+  /**
+   * Toggle every diff checkbox
+   */
+  function handleRestoreSelectAll(e) {
+    document.querySelectorAll('#restoreDiffList input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+    updateRestoreConfirm();
   }
 
   /**
-   * Update the budget metric cards
+   * Restore the selected deleted items and overwrite the selected changed ones
    */
-  function updateMetrics() {
-    // Only include real items (not temp new items) in metrics
-    const realItems = originalData.filter(item =>
-      !(typeof item.id === 'string' && item.id.startsWith('new-item-temp-'))
-    );
-    const totalCost = realItems.reduce((sum, item) => sum + calculateSubTotal(item), 0);
-    const remaining = BUDGET - totalCost;
-    const percentage = BUDGET > 0 ? (totalCost / BUDGET) * 100 : 0;
+  async function handleRestoreConfirm() {
+    const selected = getSelectedRestoreDiffs();
+    if (selected.length === 0) return;
 
-    document.getElementById('metricTotalCost').textContent = `$${formatCurrency(totalCost, true)}`;
-    document.getElementById('metricBudget').textContent = `$${formatCurrency(BUDGET, true)}`;
-    document.getElementById('metricRemaining').textContent = `$${formatCurrency(Math.abs(remaining), true)}`;
-    document.getElementById('metricPercentage').textContent = `${percentage.toFixed(1)}%`;
+    const deletedCount = selected.filter(diff => diff.type === 'deleted').length;
+    const changedCount = selected.length - deletedCount;
+    const message = `Restore ${deletedCount} deleted item${deletedCount === 1 ? '' : 's'} and overwrite ` +
+      `${changedCount} changed item${changedCount === 1 ? '' : 's'} with the backup?`;
+    if (!confirm(message)) {
+      return;
+    }
 
-    const progressBar = document.getElementById('metricProgressBar');
-    progressBar.style.width = `${Math.min(percentage, 100)}%`;
+    // Vendors deleted since the backup (or from another workspace) can't be re-linked
+    const vendorIds = new Set(vendors.map(vendor => vendor.id));
+    const toRow = diff => {
+      // Backups restore into the active workspace
+      const row = { ...diff.backupRow, workspace_id: workspaceId };
+      if (row.vendor_id && !vendorIds.has(row.vendor_id)) {
+        row.vendor_id = null;
+      }
+      return row;
+    };
+    const rows = selected.filter(diff => !diff.copy).map(toRow);
 
-    const percentageElement = document.getElementById('metricPercentage');
-    const remainingElement = document.getElementById('metricRemaining');
+    // Never upsert another workspace's ids: that would move its rows here
+    const copies = selected.filter(diff => diff.copy).map(diff => {
+      const { id, created_at, updated_at, ...row } = toRow(diff);
+      return row;
+    });
 
-    percentageElement.classList.remove('status-good', 'status-warning', 'status-danger');
-    remainingElement.classList.remove('status-good', 'status-warning', 'status-danger');
-    progressBar.classList.remove('status-good', 'status-warning', 'status-danger');
+    const confirmBtn = document.getElementById('restoreConfirmBtn');
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Restoring...';
 
-    if (remaining < 0) {
-      percentageElement.classList.add('status-danger');
-      remainingElement.classList.add('status-danger');
-      progressBar.classList.add('status-danger');
-      remainingElement.textContent = `-$${formatCurrency(Math.abs(remaining), true)}`;
-    } else if (percentage >= 90) {
-      percentageElement.classList.add('status-warning');
-      remainingElement.classList.add('status-warning');
-      progressBar.classList.add('status-warning');
+    const restored = await upsertRawItems(rows, copies);
+
+    if (restored) {
+      [originalData, trashedItems] = await Promise.all([fetchAllItems(), fetchTrashedItems()]);
+      applyFilters();
+      renderTable();
+      updateTrashCount();
+      closeRestoreModal();
+      showSuccess(`Restored ${selected.length} item${selected.length === 1 ? '' : 's'} from backup.`);
     } else {
-      percentageElement.classList.add('status-good');
-      remainingElement.classList.add('status-good');
-      progressBar.classList.add('status-good');
+      updateRestoreConfirm();
     }
   }
 
@@ -833,19 +6160,132 @@
    */
   async function init() {
     // Show loading state
-    document.querySelector('#dataTable tbody').innerHTML = '<tr><td colspan="8" style="text-align: center; padding: 2rem;">Loading data from database...</td></tr>';
+    document.querySelector('#dataTable tbody').innerHTML = '<tr><td colspan="13" style="text-align: center; padding: 2rem;">Loading data from database...</td></tr>';
 
-    // Fetch data from Supabase
-    originalData = await fetchAllItems();
+    // Signed-out visitors are redirected to the sign-in page
+    const context = await workspaceAuth.requireWorkspace(supabaseClient);
+    if (!context) return;
+    currentUser = context.user;
+    offlineStore.setUser(currentUser.id);
+    workspaceId = context.workspace.id;
+    workspaceRole = context.workspace.role;
+    workspaceAuth.renderAccountBar(supabaseClient, context);
+    applyRolePermissions();
+
+    // Fetch data from Supabase (or the device cache while offline)
+    await loadListData();
+    updateOfflineStatus();
+    updateTrashCount();
     filteredData = [...originalData];
 
     // Set up event listeners
-    populateCategoryFilter();
+    populateVendorFilter();
     document.getElementById('searchInput').addEventListener('input', handleFilterChange);
     document.getElementById('categoryFilter').addEventListener('change', handleFilterChange);
+    document.getElementById('tagFilter').addEventListener('change', handleFilterChange);
+    document.getElementById('statusFilter').addEventListener('change', handleFilterChange);
+    document.getElementById('vendorFilter').addEventListener('change', handleFilterChange);
     document.getElementById('requiredFilter').addEventListener('change', handleFilterChange);
     document.getElementById('addItemBtn').addEventListener('click', addNewItemRow);
 
+    // Undo/redo
+    document.getElementById('undoBtn').addEventListener('click', undo);
+    document.getElementById('redoBtn').addEventListener('click', redo);
+    document.addEventListener('keydown', handleUndoShortcut);
+
+    // CSV import/export
+    document.getElementById('exportCsvBtn').addEventListener('click', exportCsv);
+    document.getElementById('importCsvBtn').addEventListener('click', openCsvImportModal);
+    document.getElementById('csvFileInput').addEventListener('change', handleCsvFileSelected);
+    document.getElementById('csvImportClose').addEventListener('click', closeCsvImportModal);
+    document.getElementById('csvImportCancelBtn').addEventListener('click', closeCsvImportModal);
+    document.getElementById('csvImportConfirmBtn').addEventListener('click', handleCsvImport);
+
+    // JSON backup and restore
+    document.getElementById('backupBtn').addEventListener('click', downloadBackup);
+    document.getElementById('restoreBtn').addEventListener('click', openRestoreModal);
+    document.getElementById('restoreFileInput').addEventListener('change', handleRestoreFileSelected);
+    document.getElementById('restoreSelectAll').addEventListener('change', handleRestoreSelectAll);
+    document.getElementById('restoreClose').addEventListener('click', closeRestoreModal);
+    document.getElementById('restoreCancelBtn').addEventListener('click', closeRestoreModal);
+    document.getElementById('restoreConfirmBtn').addEventListener('click', handleRestoreConfirm);
+
+    // Workspace members and invites
+    document.getElementById('membersBtn').addEventListener('click', openMembersModal);
+    document.getElementById('membersClose').addEventListener('click', closeMembersModal);
+    document.getElementById('membersDoneBtn').addEventListener('click', closeMembersModal);
+    document.getElementById('inviteForm').addEventListener('submit', handleInviteSubmit);
+
+    // Budget scenarios
+    const storedScenarioId = parseInt(localStorage.getItem(`${ACTIVE_SCENARIO_KEY}.${workspaceId}`), 10);
+    activeScenarioId = findScenario(storedScenarioId) ? storedScenarioId : null;
+    populateScenarioSelects();
+    document.getElementById('scenarioSelect').addEventListener('change', (e) => {
+      setActiveScenario(e.target.value ? parseInt(e.target.value, 10) : null);
+    });
+    document.getElementById('scenarioEditSelect').addEventListener('change', (e) => {
+      editingScenarioId = parseInt(e.target.value, 10);
+      renderScenarioItems();
+    });
+    document.getElementById('manageScenariosBtn').addEventListener('click', openScenariosModal);
+    document.getElementById('scenariosClose').addEventListener('click', closeScenariosModal);
+    document.getElementById('scenariosDoneBtn').addEventListener('click', closeScenariosModal);
+    document.getElementById('newScenarioForm').addEventListener('submit', handleNewScenario);
+    document.getElementById('deleteScenarioBtn').addEventListener('click', handleDeleteScenario);
+    document.getElementById('compareScenariosBtn').addEventListener('click', openScenarioCompareModal);
+    document.getElementById('scenarioCompareClose').addEventListener('click', closeScenarioCompareModal);
+    document.getElementById('scenarioCompareDoneBtn').addEventListener('click', closeScenarioCompareModal);
+
+    // Save conflicts
+    document.getElementById('conflictKeepMineBtn').addEventListener('click', () => closeConflictModal('mine'));
+    document.getElementById('conflictUseTheirsBtn').addEventListener('click', () => closeConflictModal('theirs'));
+    document.getElementById('conflictClose').addEventListener('click', () => closeConflictModal('theirs'));
+
+    // Trash
+    document.getElementById('trashBtn').addEventListener('click', openTrashModal);
+    document.getElementById('trashClose').addEventListener('click', closeTrashModal);
+    document.getElementById('trashDoneBtn').addEventListener('click', closeTrashModal);
+    document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+      handlePurge(trashedItems.map(item => item.id));
+    });
+
+    // Upcoming payments range toggle
+    document.querySelectorAll('.range-btn').forEach(btn => {
+      btn.addEventListener('click', handleRangeChange);
+    });
+
+    // Category tax and fee rates
+    document.getElementById('editRatesBtn').addEventListener('click', openRatesModal);
+    document.getElementById('ratesModalClose').addEventListener('click', closeRatesModal);
+    document.getElementById('ratesDoneBtn').addEventListener('click', closeRatesModal);
+
+    // Guest count
+    document.getElementById('guestCountInput').addEventListener('input', handleGuestCountInput);
+    document.getElementById('guestCountInput').addEventListener('change', handleGuestCountChange);
+
+    // Budget settings modal
+    document.getElementById('editBudgetBtn').addEventListener('click', openBudgetModal);
+    document.getElementById('budgetModalClose').addEventListener('click', closeBudgetModal);
+    document.getElementById('budgetCancelBtn').addEventListener('click', closeBudgetModal);
+    document.getElementById('budgetForm').addEventListener('submit', handleBudgetSubmit);
+    document.getElementById('budgetModal').addEventListener('click', (e) => {
+      if (e.target.id === 'budgetModal') closeBudgetModal();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        closeBudgetModal();
+        closeCsvImportModal();
+        closeRestoreModal();
+        closeTrashModal();
+        closeMembersModal();
+        closeScenariosModal();
+        closeScenarioCompareModal();
+        closeRatesModal();
+        closeFilterModal();
+        closeConflictModal('theirs');
+      }
+    });
+
     // Attach sort handlers to all header cells with data-sort
     document.querySelectorAll('th[data-sort]').forEach(th => {
       th.addEventListener('click', () => {
@@ -857,11 +6297,59 @@
         }
         renderTable();
         updateSortIndicators();
+        handleFilterStateChange();
       });
     });
 
+    // Filter builder and saved views (a view can also come from the URL)
+    populateCategoryFilter();
+    restoreViewFromUrl();
+    applyFilters();
+    handleFilterStateChange();
+    document.getElementById('filterBuilderBtn').addEventListener('click', openFilterModal);
+    document.getElementById('savedViewSelect').addEventListener('change', handleSavedViewSelect);
+    document.getElementById('filterModalClose').addEventListener('click', closeFilterModal);
+    document.getElementById('addConditionBtn').addEventListener('click', () => {
+      document.getElementById('filterConditions').appendChild(createConditionRow({ field: 'cost', op: 'gte', value: null }));
+    });
+    document.getElementById('applyFiltersBtn').addEventListener('click', handleApplyFilters);
+    document.getElementById('clearFiltersBtn').addEventListener('click', handleClearFilters);
+    document.getElementById('saveViewForm').addEventListener('submit', handleSaveView);
+    document.getElementById('deleteViewBtn').addEventListener('click', handleDeleteView);
+
+    // Table or board layout (remembered on this device)
+    try {
+      const storedLayout = JSON.parse(localStorage.getItem(LIST_LAYOUT_KEY));
+      if (storedLayout && ['table', 'board'].includes(storedLayout.view)) {
+        listLayout = {
+          view: storedLayout.view,
+          groupBy: storedLayout.groupBy === 'category' ? 'category' : 'status',
+          groupRows: Boolean(storedLayout.groupRows),
+          collapsedCategories: Array.isArray(storedLayout.collapsedCategories) ? storedLayout.collapsedCategories : []
+        };
+      }
+    } catch (err) {
+      console.error('Error reading the saved layout:', err);
+    }
+    applyListLayout();
+    document.querySelectorAll('.layout-btn').forEach(btn => {
+      btn.addEventListener('click', () => setListLayout(btn.dataset.layout));
+    });
+    document.getElementById('boardGroupBy').addEventListener('change', (e) => setListLayout('board', e.target.value));
+    document.getElementById('groupRowsToggle').addEventListener('change', (e) => setGroupRows(e.target.checked));
+    setUpRowReordering();
+
     renderTable();
     updateSortIndicators();
+    subscribeToItemChanges();
+
+    // Offline mode: queue writes while offline, replay them when back online
+    window.addEventListener('online', () => {
+      updateOfflineStatus();
+      syncOutbox();
+    });
+    window.addEventListener('offline', updateOfflineStatus);
+    syncOutbox();
   }
 
   // Initialize when DOM is loaded
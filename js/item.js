@@ -11,15 +11,39 @@
   const { createClient } = supabase;
   const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 
+  // How many opened items to keep in the offline cache (least recently opened go first)
+  const ITEM_CACHE_LIMIT = 50;
+
+  // Active workspace; the item and vendor queries are scoped to it
+  let workspaceId = null;
+  let workspaceRole = null;
+
+  // Per-guest and per-table items take their quantity from the guest count
+  const GUEST_COUNT_SETTING_KEY = 'guest_count';
+  const DEFAULT_GUESTS_PER_TABLE = 8;
+
+  // Percentage charges added on top of the subtotal (item rate, else category default)
+  const RATE_FIELDS = [
+    { key: 'taxRate', dbKey: 'tax_rate', label: 'Tax' },
+    { key: 'serviceRate', dbKey: 'service_rate', label: 'Service' },
+    { key: 'gratuityRate', dbKey: 'gratuity_rate', label: 'Gratuity' }
+  ];
+
   // UI elements - View mode
   let viewMode;
   let editMode;
   let itemTitle;
   let categoryBadge;
+  let tagBadges;
   let requiredBadge;
   let metaUnitCost;
   let metaQuantity;
   let metaSubtotal;
+  let metaTotalWithFees;
+  let metaActualCost;
+  let metaVariance;
+  let metaPaid;
+  let metaBalanceDue;
   let metaTimestamps;
   let tableOfContents;
   let tocList;
@@ -39,10 +63,61 @@
   // Current item data
   let currentItem = null;
   let originalMarkdown = '';
+  let currentPayments = [];
+  let vendors = [];
+  let guestCount = null;
+  let categoryRates = null;
+
+  // Item status workflow, in order
+  const ITEM_STATUSES = ['idea', 'quoted', 'booked', 'paid'];
+  const ITEM_STATUS_LABELS = {
+    idea: 'Idea',
+    quoted: 'Quoted',
+    booked: 'Booked',
+    paid: 'Paid'
+  };
+
+  // Display labels for audited budget_items columns
+  const FIELD_LABELS = {
+    category: 'Category',
+    item: 'Item',
+    required: 'Required',
+    status: 'Status',
+    notes: 'Notes',
+    tags: 'Tags',
+    unit_cost: 'Unit Cost',
+    quantity: 'Quantity',
+    quantity_basis: 'Quantity Basis',
+    guests_per_table: 'Guests per Table',
+    tax_rate: 'Tax Rate',
+    service_rate: 'Service Charge',
+    gratuity_rate: 'Gratuity',
+    sub_total: 'Subtotal',
+    actual_cost: 'Actual Cost',
+    vendor_id: 'Vendor',
+    md_content: 'Markdown',
+    html: 'HTML',
+    deleted_at: 'Trashed'
+  };
+
+  // Bookkeeping columns left out of the History tab (older audit rows may include them)
+  const HIDDEN_HISTORY_FIELDS = ['position', 'workspace_id'];
+
+  // Display labels for vendor contract statuses
+  const CONTRACT_STATUS_LABELS = {
+    none: 'No Contract',
+    negotiating: 'Negotiating',
+    sent: 'Contract Sent',
+    signed: 'Signed',
+    cancelled: 'Cancelled'
+  };
 
   // Debounce timer for live preview
   let previewDebounceTimer = null;
 
+  // Resolves the pending save-conflict dialog with 'mine', 'theirs' or 'cancel'
+  let conflictResolver = null;
+
   // Active section tracking for TOC
   let activeSectionObserver = null;
 
@@ -66,10 +141,20 @@
       category: dbItem.category,
       item: dbItem.item,
       required: dbItem.required,
+      status: dbItem.status || 'idea',
       notes: dbItem.notes,
+      tags: dbItem.tags || [],
       unitCost: dbItem.unit_cost,
       quantity: dbItem.quantity,
+      quantityBasis: dbItem.quantity_basis || 'fixed',
+      guestsPerTable: dbItem.guests_per_table,
+      taxRate: dbItem.tax_rate,
+      serviceRate: dbItem.service_rate,
+      gratuityRate: dbItem.gratuity_rate,
       subTotal: dbItem.sub_total,
+      actualCost: dbItem.actual_cost,
+      vendorId: dbItem.vendor_id,
+      deletedAt: dbItem.deleted_at,
       mdContent: dbItem.md_content,
       html: dbItem.html,
       created_at: dbItem.created_at,
@@ -85,6 +170,7 @@
       const { data, error } = await supabaseClient
         .from('budget_items')
         .select('*')
+        .eq('workspace_id', workspaceId)
         .eq('id', id)
         .single();
 
@@ -101,15 +187,35 @@
   }
 
   /**
-   * Update markdown content for an item in Supabase
+   * Update markdown content for an item in Supabase. When expectedUpdatedAt is
+   * given the write only applies if the row hasn't changed since; otherwise
+   * { conflict: true } is returned instead of the item.
    */
-  async function updateMarkdownContent(id, mdContent) {
+  async function updateMarkdownContent(id, mdContent, expectedUpdatedAt) {
+    // Queued writes skip the updated_at check; the replay checks the field instead
+    if (offlineStore.shouldQueue()) {
+      offlineStore.enqueue({
+        type: 'update',
+        table: 'budget_items',
+        id,
+        field: 'md_content',
+        value: mdContent,
+        oldValue: currentItem.mdContent
+      });
+      updateOfflineStatus();
+      syncOutbox();
+      return { ...currentItem, mdContent };
+    }
+
     try {
-      const { data, error } = await supabaseClient
+      let query = supabaseClient
         .from('budget_items')
         .update({ md_content: mdContent })
-        .eq('id', id)
-        .select();
+        .eq('id', id);
+      if (expectedUpdatedAt) {
+        query = query.eq('updated_at', expectedUpdatedAt);
+      }
+      const { data, error } = await query.select();
 
       if (error) {
         console.error('Error updating markdown:', error);
@@ -117,6 +223,341 @@
         return null;
       }
 
+      if (expectedUpdatedAt && data && data.length === 0) {
+        return { conflict: true };
+      }
+
+      return data && data.length > 0 ? transformItem(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Transform a payment row (snake_case) to app format (camelCase)
+   */
+  function transformPayment(dbPayment) {
+    return {
+      id: dbPayment.id,
+      itemId: dbPayment.item_id,
+      amount: parseFloat(dbPayment.amount),
+      paidOn: dbPayment.paid_on,
+      dueOn: dbPayment.due_on,
+      method: dbPayment.method,
+      paymentType: dbPayment.payment_type,
+      notes: dbPayment.notes
+    };
+  }
+
+  /**
+   * Fetch all payments recorded against an item, oldest first
+   */
+  async function fetchPayments(itemId) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('payments')
+        .select('*')
+        .eq('item_id', itemId);
+
+      if (error) {
+        console.error('Error fetching payments:', error);
+        showError('Failed to load payments for this item.');
+        return [];
+      }
+
+      return data ? sortPayments(data.map(transformPayment)) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Sort payments by the date that matters: paid date, else due date
+   */
+  function sortPayments(payments) {
+    return payments.sort((a, b) => (a.paidOn || a.dueOn).localeCompare(b.paidOn || b.dueOn));
+  }
+
+  /**
+   * Record a new payment in Supabase
+   */
+  async function createPayment(payment) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('payments')
+        .insert([{
+          item_id: payment.itemId,
+          amount: payment.amount,
+          paid_on: payment.paidOn || null,
+          due_on: payment.dueOn || null,
+          method: payment.method,
+          payment_type: payment.paymentType,
+          notes: payment.notes || null
+        }])
+        .select();
+
+      if (error) {
+        console.error('Error creating payment:', error);
+        showError('Failed to record payment. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? transformPayment(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Mark a scheduled payment as paid on the given date
+   */
+  async function markPaymentPaid(id, paidOn) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('payments')
+        .update({ paid_on: paidOn })
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        console.error('Error updating payment:', error);
+        showError('Failed to mark payment as paid. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? transformPayment(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Delete a payment from Supabase
+   */
+  async function deletePayment(id) {
+    try {
+      const { error } = await supabaseClient
+        .from('payments')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting payment:', error);
+        showError('Failed to delete payment. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Fetch the workspace's guest count setting (null if it hasn't been set)
+   */
+  async function fetchGuestCount() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_settings')
+        .select('value')
+        .eq('workspace_id', workspaceId)
+        .eq('key', GUEST_COUNT_SETTING_KEY)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching guest count:', error);
+        return null;
+      }
+
+      const count = data ? parseInt(data.value, 10) : NaN;
+      return isNaN(count) ? null : count;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the default tax and fee rates for a category (null if none are set)
+   */
+  async function fetchCategoryRates(category) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('category_rates')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .eq('category', category)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching category rates:', error);
+        return null;
+      }
+      if (!data) return null;
+
+      return RATE_FIELDS.reduce((rates, field) => {
+        rates[field.key] = data[field.dbKey] !== null ? parseFloat(data[field.dbKey]) : null;
+        return rates;
+      }, {});
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the vendor directory from Supabase
+   */
+  async function fetchVendors() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('vendors')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('name');
+
+      if (error) {
+        console.error('Error fetching vendors:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Update a single column of the current item. While offline (or while older
+   * writes are queued) the write goes to the outbox and the locally updated
+   * item is returned. Otherwise, when expectedUpdatedAt is given the write only
+   * applies if the row hasn't changed since; { conflict: true } is returned
+   * instead of the item.
+   */
+  async function updateItemColumn(id, field, value, expectedUpdatedAt, failureMessage) {
+    const key = field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+    // Queued writes skip the updated_at check; the replay checks the field instead
+    if (offlineStore.shouldQueue()) {
+      offlineStore.enqueue({
+        type: 'update',
+        table: 'budget_items',
+        id,
+        field,
+        value,
+        oldValue: currentItem[key]
+      });
+      updateOfflineStatus();
+      syncOutbox();
+      return { ...currentItem, [key]: value };
+    }
+
+    try {
+      let query = supabaseClient
+        .from('budget_items')
+        .update({ [field]: value })
+        .eq('id', id);
+      if (expectedUpdatedAt) {
+        query = query.eq('updated_at', expectedUpdatedAt);
+      }
+      const { data, error } = await query.select();
+
+      if (error) {
+        console.error(`Error updating ${field}:`, error);
+        showError(failureMessage);
+        return null;
+      }
+
+      if (expectedUpdatedAt && data && data.length === 0) {
+        return { conflict: true };
+      }
+
+      return data && data.length > 0 ? transformItem(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Link an item to a vendor (or unlink it when vendorId is null)
+   */
+  function updateItemVendor(id, vendorId, expectedUpdatedAt) {
+    return updateItemColumn(id, 'vendor_id', vendorId, expectedUpdatedAt,
+      'Failed to update the linked vendor. Please try again.');
+  }
+
+  /**
+   * Move an item to another workflow status
+   */
+  function updateItemStatus(id, status, expectedUpdatedAt) {
+    return updateItemColumn(id, 'status', status, expectedUpdatedAt,
+      'Failed to update the status. Please try again.');
+  }
+
+  /**
+   * Fetch the audit trail for an item, newest first
+   */
+  async function fetchItemHistory(itemId) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('item_audit_log')
+        .select('*')
+        .eq('item_id', itemId)
+        .order('changed_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching history:', error);
+        showError('Failed to load change history.');
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Set a single column of an item back to a previous value. With
+   * expectedUpdatedAt the write only applies if the row hasn't changed since;
+   * otherwise { conflict: true } is returned instead of the item.
+   */
+  async function revertItemField(id, field, value, expectedUpdatedAt) {
+    try {
+      let query = supabaseClient
+        .from('budget_items')
+        .update({ [field]: value })
+        .eq('id', id);
+      if (expectedUpdatedAt) {
+        query = query.eq('updated_at', expectedUpdatedAt);
+      }
+      const { data, error } = await query.select();
+
+      if (error) {
+        console.error('Error reverting field:', error);
+        showError('Failed to update the item. Please try again.');
+        return null;
+      }
+
+      if (expectedUpdatedAt && data && data.length === 0) {
+        return { conflict: true };
+      }
+
       return data && data.length > 0 ? transformItem(data[0]) : null;
     } catch (err) {
       console.error('Unexpected error:', err);
@@ -237,6 +678,15 @@
       categoryBadge.style.display = 'none';
     }
 
+    // Tag badges
+    tagBadges.innerHTML = '';
+    (item.tags || []).forEach(tag => {
+      const badge = document.createElement('span');
+      badge.className = 'badge badge-tag';
+      badge.textContent = tag;
+      tagBadges.appendChild(badge);
+    });
+
     // Required badge
     const isRequired = item.required && item.required.toLowerCase() === 'yes';
     requiredBadge.textContent = isRequired ? 'Required' : 'Optional';
@@ -246,8 +696,55 @@
 
     // Metadata values
     metaUnitCost.textContent = formatCurrency(item.unitCost);
-    metaQuantity.textContent = item.quantity || '1';
-    metaSubtotal.textContent = formatCurrency(item.subTotal);
+    metaQuantity.textContent = getEffectiveQuantity(item);
+    if (item.quantityBasis === 'per_guest' || item.quantityBasis === 'per_table') {
+      const perTable = item.guestsPerTable > 0 ? item.guestsPerTable : DEFAULT_GUESTS_PER_TABLE;
+      const basis = document.createElement('span');
+      basis.className = 'metadata-detail';
+      basis.textContent = (item.quantityBasis === 'per_guest' ? 'per guest' : `per table of ${perTable}`) +
+        (guestCount === null ? ', no guest count set' : ` (${guestCount} guests)`);
+      metaQuantity.appendChild(basis);
+    }
+    metaSubtotal.textContent = formatCurrency(calculateSubTotal(item));
+
+    // Tax, service charge and gratuity on top of the subtotal
+    const charges = calculateCharges(item);
+    const rates = getEffectiveRates(item);
+    metaTotalWithFees.textContent = formatCurrency(charges.total);
+    const appliedRates = RATE_FIELDS
+      .filter(field => rates[field.key] > 0)
+      .map(field => `${field.label} ${rates[field.key]}%`);
+    if (appliedRates.length > 0) {
+      const detail = document.createElement('span');
+      detail.className = 'metadata-detail';
+      detail.textContent = appliedRates.join(' · ');
+      metaTotalWithFees.appendChild(detail);
+    }
+
+    // Actual cost and variance against the estimate
+    const variance = calculateVariance(item);
+    metaActualCost.textContent = formatCurrency(item.actualCost);
+    metaVariance.classList.remove('status-good', 'status-danger');
+    if (variance === null) {
+      metaVariance.textContent = '—';
+    } else {
+      metaVariance.textContent = `${variance > 0 ? '+' : variance < 0 ? '-' : ''}${formatCurrency(Math.abs(variance))}`;
+      if (variance !== 0) {
+        metaVariance.classList.add(variance > 0 ? 'status-danger' : 'status-good');
+      }
+    }
+
+    // Trash notice (only owners can restore)
+    document.getElementById('trashNotice').style.display = item.deletedAt ? 'flex' : 'none';
+    document.getElementById('restoreFromTrashBtn').style.display =
+      workspaceAuth.canDelete(workspaceRole) ? '' : 'none';
+
+    // Vendor card
+    renderVendorCard(item);
+    renderStatusControl(item);
+
+    // Payment totals and ledger
+    renderPaymentLedger(item);
 
     // Timestamps
     const createdText = item.created_at ? `Created: ${formatDate(item.created_at)}` : '';
@@ -256,6 +753,652 @@
     metaTimestamps.textContent = timestampText;
   }
 
+  /**
+   * Render the status stepper: one button per stage, earlier stages marked
+   * done (buttons disabled for viewers)
+   */
+  function renderStatusControl(item) {
+    const control = document.getElementById('statusControl');
+    const currentIndex = ITEM_STATUSES.indexOf(item.status);
+    control.innerHTML = '';
+
+    ITEM_STATUSES.forEach((status, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'status-step';
+      button.classList.toggle('done', index < currentIndex);
+      button.classList.toggle('current', index === currentIndex);
+      button.textContent = ITEM_STATUS_LABELS[status];
+      button.dataset.status = status;
+      button.disabled = !workspaceAuth.canEdit(workspaceRole);
+      button.setAttribute('aria-pressed', String(index === currentIndex));
+      control.appendChild(button);
+    });
+  }
+
+  /**
+   * Save a status picked in the status stepper
+   */
+  async function handleStatusClick(e) {
+    const button = e.target.closest('.status-step');
+    if (!button || button.dataset.status === currentItem.status) return;
+
+    const buttons = document.querySelectorAll('#statusControl .status-step');
+    buttons.forEach(b => { b.disabled = true; });
+
+    const status = button.dataset.status;
+    const updated = await saveFieldWithConflictCheck('status', status,
+      expectedUpdatedAt => updateItemStatus(currentItem.id, status, expectedUpdatedAt));
+
+    if (updated) {
+      currentItem = updated;
+      populateMetadata(currentItem);
+      showSuccess(`Status set to ${ITEM_STATUS_LABELS[updated.status]}.`);
+      cacheItemData();
+    } else {
+      renderStatusControl(currentItem);
+    }
+  }
+
+  /**
+   * A vendor website as a link target, or null unless it is an http(s) URL
+   */
+  function getSafeWebsiteUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Render the vendor card and linked-vendor select
+   */
+  function renderVendorCard(item) {
+    const details = document.getElementById('vendorDetails');
+    const statusBadge = document.getElementById('vendorStatusBadge');
+    const select = document.getElementById('vendorSelect');
+    const vendor = vendors.find(v => v.id === item.vendorId);
+
+    select.innerHTML = '<option value="">— No vendor —</option>';
+    select.disabled = !workspaceAuth.canEdit(workspaceRole);
+    vendors.forEach(v => {
+      const option = document.createElement('option');
+      option.value = v.id;
+      option.textContent = v.name;
+      option.selected = v.id === item.vendorId;
+      select.appendChild(option);
+    });
+
+    details.innerHTML = '';
+
+    if (!vendor) {
+      statusBadge.style.display = 'none';
+      details.innerHTML = '<span class="metadata-timestamps">No vendor linked to this item.</span>';
+      return;
+    }
+
+    statusBadge.textContent = CONTRACT_STATUS_LABELS[vendor.contract_status] || vendor.contract_status;
+    statusBadge.className = `badge badge-contract badge-contract-${vendor.contract_status}`;
+    statusBadge.style.display = 'inline-block';
+
+    const name = document.createElement('a');
+    name.className = 'vendor-name';
+    name.href = `vendors.html#vendor-${vendor.id}`;
+    name.textContent = vendor.name;
+    details.appendChild(name);
+
+    const fields = [
+      ['Contact', vendor.contact_person, null],
+      ['Phone', vendor.phone, vendor.phone ? `tel:${vendor.phone}` : null],
+      ['Email', vendor.email, vendor.email ? `mailto:${vendor.email}` : null],
+      ['Website', vendor.website, getSafeWebsiteUrl(vendor.website)]
+    ];
+
+    fields.forEach(([label, value, href]) => {
+      if (!value) return;
+      const line = document.createElement('div');
+      line.className = 'vendor-contact-line';
+
+      const labelEl = document.createElement('span');
+      labelEl.className = 'metadata-label';
+      labelEl.textContent = label;
+      line.appendChild(labelEl);
+
+      const valueEl = document.createElement(href ? 'a' : 'span');
+      valueEl.textContent = value;
+      if (href) {
+        valueEl.href = href;
+        if (href.startsWith('http')) {
+          valueEl.target = '_blank';
+          valueEl.rel = 'noopener';
+        }
+      }
+      line.appendChild(valueEl);
+      details.appendChild(line);
+    });
+  }
+
+  /**
+   * Save a change to the linked vendor
+   */
+  async function handleVendorChange(e) {
+    const vendorId = e.target.value ? parseInt(e.target.value, 10) : null;
+    e.target.disabled = true;
+
+    const updated = await saveFieldWithConflictCheck('vendor_id', vendorId,
+      expectedUpdatedAt => updateItemVendor(currentItem.id, vendorId, expectedUpdatedAt));
+
+    e.target.disabled = false;
+
+    if (updated) {
+      currentItem = updated;
+      populateMetadata(currentItem);
+      showSuccess(vendorId ? 'Vendor linked.' : 'Vendor unlinked.');
+      cacheItemData();
+    } else {
+      renderVendorCard(currentItem);
+    }
+  }
+
+  /**
+   * Whether the item's quantity is currently derived from the guest count
+   */
+  function isGuestDriven(item) {
+    return guestCount !== null && (item.quantityBasis === 'per_guest' || item.quantityBasis === 'per_table');
+  }
+
+  /**
+   * Get the quantity the item is priced at (guests or tables for per-guest
+   * and per-table items, otherwise the entered quantity)
+   */
+  function getEffectiveQuantity(item) {
+    if (isGuestDriven(item)) {
+      if (item.quantityBasis === 'per_guest') return guestCount;
+      const perTable = item.guestsPerTable > 0 ? item.guestsPerTable : DEFAULT_GUESTS_PER_TABLE;
+      return Math.ceil(guestCount / perTable);
+    }
+    return item.quantity !== null && item.quantity !== undefined ? parseFloat(item.quantity) : 1;
+  }
+
+  /**
+   * Calculate the item's subtotal, falling back to unit cost x quantity
+   */
+  function calculateSubTotal(item) {
+    if (item.subTotal !== null && item.subTotal !== undefined && !isGuestDriven(item)) {
+      return parseFloat(item.subTotal);
+    }
+    const cost = item.unitCost !== null && item.unitCost !== undefined ? parseFloat(item.unitCost) : 0;
+    return cost * getEffectiveQuantity(item);
+  }
+
+  /**
+   * Get the item's tax, service charge and gratuity percentages: its own
+   * rate where set, otherwise the category default, otherwise 0
+   */
+  function getEffectiveRates(item) {
+    const defaults = categoryRates || {};
+    return RATE_FIELDS.reduce((rates, field) => {
+      if (item[field.key] !== null && item[field.key] !== undefined) {
+        rates[field.key] = parseFloat(item[field.key]);
+      } else {
+        rates[field.key] = typeof defaults[field.key] === 'number' ? defaults[field.key] : 0;
+      }
+      return rates;
+    }, {});
+  }
+
+  /**
+   * Break the subtotal down into service charge, tax and gratuity. The
+   * service charge is taxed along with the subtotal; gratuity isn't.
+   */
+  function calculateCharges(item) {
+    const preTax = calculateSubTotal(item);
+    const { taxRate, serviceRate, gratuityRate } = getEffectiveRates(item);
+    const service = preTax * serviceRate / 100;
+    const tax = (preTax + service) * taxRate / 100;
+    const gratuity = preTax * gratuityRate / 100;
+    return { preTax, service, tax, gratuity, total: preTax + service + tax + gratuity };
+  }
+
+  /**
+   * Calculate actual minus estimated cost (with tax and fees), or null if not yet invoiced
+   */
+  function calculateVariance(item) {
+    if (item.actualCost === null || item.actualCost === undefined) return null;
+    return parseFloat(item.actualCost) - calculateCharges(item).total;
+  }
+
+  /**
+   * Cost we expect to pay: the actual cost once invoiced, otherwise the estimate
+   */
+  function calculateCommittedCost(item) {
+    if (item.actualCost === null || item.actualCost === undefined) {
+      return calculateCharges(item).total;
+    }
+    return parseFloat(item.actualCost);
+  }
+
+  /**
+   * Render the payment ledger and paid/balance totals
+   */
+  function renderPaymentLedger(item) {
+    const tbody = document.getElementById('paymentLedgerBody');
+    const totalPaid = currentPayments
+      .filter(payment => payment.paidOn)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    const balanceDue = calculateCommittedCost(item) - totalPaid;
+
+    metaPaid.textContent = formatCurrency(totalPaid);
+    metaBalanceDue.textContent = balanceDue < 0
+      ? `-${formatCurrency(Math.abs(balanceDue))}`
+      : formatCurrency(balanceDue);
+    metaBalanceDue.classList.toggle('status-good', balanceDue <= 0 && totalPaid > 0);
+
+    tbody.innerHTML = '';
+
+    if (currentPayments.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="ledger-empty">No payments recorded yet.</td></tr>';
+      return;
+    }
+
+    currentPayments.forEach(payment => {
+      const tr = document.createElement('tr');
+      const isOverdue = !payment.paidOn && payment.dueOn && payment.dueOn < getTodayString();
+      if (!payment.paidOn) {
+        tr.className = isOverdue ? 'payment-scheduled payment-overdue' : 'payment-scheduled';
+      }
+
+      const tdDate = document.createElement('td');
+      tdDate.textContent = payment.paidOn ? formatPaymentDate(payment.paidOn) : 'Scheduled';
+
+      const tdDue = document.createElement('td');
+      tdDue.textContent = payment.dueOn ? formatPaymentDate(payment.dueOn) : '—';
+      if (isOverdue) {
+        tdDue.classList.add('status-danger');
+        tdDue.textContent += ' (overdue)';
+      }
+
+      const tdType = document.createElement('td');
+      const typeBadge = document.createElement('span');
+      typeBadge.className = `badge badge-payment badge-payment-${payment.paymentType}`;
+      typeBadge.textContent = payment.paymentType;
+      tdType.appendChild(typeBadge);
+
+      const tdMethod = document.createElement('td');
+      tdMethod.textContent = payment.method || '—';
+
+      const tdNotes = document.createElement('td');
+      tdNotes.textContent = payment.notes || '';
+
+      const tdAmount = document.createElement('td');
+      tdAmount.textContent = formatCurrency(payment.amount);
+
+      const tdActions = document.createElement('td');
+      tdActions.className = 'action-buttons';
+      if (!payment.paidOn && workspaceAuth.canEdit(workspaceRole)) {
+        const paidBtn = document.createElement('button');
+        paidBtn.className = 'btn-success';
+        paidBtn.textContent = 'Mark Paid';
+        paidBtn.addEventListener('click', () => handleMarkPaid(payment.id));
+        tdActions.appendChild(paidBtn);
+      }
+      if (workspaceAuth.canDelete(workspaceRole)) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => handleDeletePayment(payment.id));
+        tdActions.appendChild(deleteBtn);
+      }
+
+      tr.appendChild(tdDate);
+      tr.appendChild(tdDue);
+      tr.appendChild(tdType);
+      tr.appendChild(tdMethod);
+      tr.appendChild(tdNotes);
+      tr.appendChild(tdAmount);
+      tr.appendChild(tdActions);
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Format a DATE column value (YYYY-MM-DD) without timezone shifting
+   */
+  function formatPaymentDate(dateString) {
+    if (!dateString) return '—';
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * Handle the record payment form submission
+   */
+  async function handleAddPayment(e) {
+    e.preventDefault();
+    const amount = parseFloat(document.getElementById('paymentAmount').value);
+    const paidOn = document.getElementById('paymentDate').value;
+    const dueOn = document.getElementById('paymentDueDate').value;
+
+    if (isNaN(amount) || amount <= 0 || (!paidOn && !dueOn)) {
+      showError('Please enter a payment amount and either a paid or due date.');
+      return;
+    }
+
+    const addBtn = document.getElementById('addPaymentBtn');
+    addBtn.disabled = true;
+
+    const created = await createPayment({
+      itemId: currentItem.id,
+      amount,
+      paidOn,
+      dueOn,
+      method: document.getElementById('paymentMethod').value,
+      paymentType: document.getElementById('paymentType').value,
+      notes: document.getElementById('paymentNotes').value.trim()
+    });
+
+    addBtn.disabled = false;
+
+    if (created) {
+      currentPayments.push(created);
+      sortPayments(currentPayments);
+      renderPaymentLedger(currentItem);
+      resetPaymentForm();
+      showSuccess(created.paidOn ? 'Payment recorded.' : 'Payment scheduled.');
+    }
+  }
+
+  /**
+   * Mark a scheduled payment as paid today
+   */
+  async function handleMarkPaid(id) {
+    const updated = await markPaymentPaid(id, getTodayString());
+    if (updated) {
+      currentPayments = sortPayments(currentPayments.map(payment =>
+        payment.id === id ? updated : payment
+      ));
+      renderPaymentLedger(currentItem);
+      showSuccess('Payment marked as paid.');
+    }
+  }
+
+  /**
+   * Handle deleting a payment from the ledger
+   */
+  async function handleDeletePayment(id) {
+    if (!confirm('Delete this payment? This action cannot be undone.')) {
+      return;
+    }
+
+    const success = await deletePayment(id);
+    if (success) {
+      currentPayments = currentPayments.filter(payment => payment.id !== id);
+      renderPaymentLedger(currentItem);
+      showSuccess('Payment deleted.');
+    }
+  }
+
+  /**
+   * Reset the payment form. "Paid On" starts empty so a payment entered with
+   * only a due date is scheduled, not recorded as already paid.
+   */
+  function resetPaymentForm() {
+    document.getElementById('paymentForm').reset();
+  }
+
+  /**
+   * Today's local date as YYYY-MM-DD
+   */
+  function getTodayString() {
+    const today = new Date();
+    const offset = today.getTimezoneOffset() * 60000;
+    return new Date(today - offset).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Switch between the Details and History tabs
+   */
+  function showTab(tabName) {
+    document.querySelectorAll('.tab').forEach(tab => {
+      const isActive = tab.dataset.tab === tabName;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', isActive);
+    });
+    document.getElementById('detailsTab').style.display = tabName === 'details' ? 'block' : 'none';
+    document.getElementById('historyTab').style.display = tabName === 'history' ? 'block' : 'none';
+
+    if (tabName === 'history') {
+      loadHistory();
+    }
+  }
+
+  /**
+   * Format an audited value for display
+   */
+  function formatHistoryValue(field, value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value.join(', ') : '(empty)';
+    }
+    if (field === 'status') {
+      return ITEM_STATUS_LABELS[value] || String(value);
+    }
+    if (field === 'vendor_id') {
+      const vendor = vendors.find(v => v.id === value);
+      return vendor ? vendor.name : `Vendor #${value}`;
+    }
+    if (['unit_cost', 'sub_total', 'actual_cost'].includes(field)) {
+      return formatCurrency(value);
+    }
+    if (['tax_rate', 'service_rate', 'gratuity_rate'].includes(field)) {
+      return `${value}%`;
+    }
+    return String(value);
+  }
+
+  /**
+   * Load and render the change history timeline
+   */
+  async function loadHistory() {
+    const timeline = document.getElementById('historyTimeline');
+    timeline.innerHTML = '<li class="history-empty">Loading history...</li>';
+
+    const history = (await fetchItemHistory(currentItem.id))
+      .filter(entry => !HIDDEN_HISTORY_FIELDS.includes(entry.field));
+    timeline.innerHTML = '';
+
+    if (history.length === 0) {
+      timeline.innerHTML = '<li class="history-empty">No changes recorded yet.</li>';
+      return;
+    }
+
+    history.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = `history-entry history-${entry.action}`;
+
+      const header = document.createElement('div');
+      header.className = 'history-entry-header';
+
+      const summary = document.createElement('strong');
+      if (entry.action === 'create') {
+        summary.textContent = 'Item created';
+      } else if (entry.action === 'delete') {
+        summary.textContent = 'Item deleted';
+      } else {
+        summary.textContent = `${FIELD_LABELS[entry.field] || entry.field} changed`;
+      }
+
+      const date = document.createElement('span');
+      date.className = 'history-date';
+      date.textContent = formatDate(entry.changed_at);
+
+      header.appendChild(summary);
+      header.appendChild(date);
+      li.appendChild(header);
+
+      if (entry.action === 'update') {
+        const isLong = entry.field === 'md_content' || entry.field === 'notes';
+        const change = document.createElement(isLong ? 'details' : 'div');
+        change.className = 'history-change';
+
+        if (isLong) {
+          const toggle = document.createElement('summary');
+          toggle.textContent = 'Show previous and new value';
+          change.appendChild(toggle);
+        }
+
+        const oldValue = document.createElement(isLong ? 'pre' : 'span');
+        oldValue.className = 'history-old';
+        oldValue.textContent = formatHistoryValue(entry.field, entry.old_value);
+
+        const arrow = document.createElement('span');
+        arrow.className = 'history-arrow';
+        arrow.textContent = ' → ';
+
+        const newValue = document.createElement(isLong ? 'pre' : 'span');
+        newValue.className = 'history-new';
+        newValue.textContent = formatHistoryValue(entry.field, entry.new_value);
+
+        change.appendChild(oldValue);
+        change.appendChild(arrow);
+        change.appendChild(newValue);
+        li.appendChild(change);
+
+        // Reverting a trash change is itself a trash change, which only owners may make
+        const canRevert = entry.field === 'deleted_at'
+          ? workspaceAuth.canDelete(workspaceRole)
+          : workspaceAuth.canEdit(workspaceRole);
+        if (canRevert) {
+          const revertBtn = document.createElement('button');
+          revertBtn.className = 'btn-secondary btn-small';
+          revertBtn.textContent = 'Revert';
+          revertBtn.addEventListener('click', () => handleRevert(entry));
+          li.appendChild(revertBtn);
+        }
+      }
+
+      timeline.appendChild(li);
+    });
+  }
+
+  /**
+   * Revert a single field change from the history timeline
+   */
+  async function handleRevert(entry) {
+    const label = FIELD_LABELS[entry.field] || entry.field;
+    if (!confirm(`Revert ${label} to "${formatHistoryValue(entry.field, entry.old_value)}"?`)) {
+      return;
+    }
+
+    const updated = await revertWithConflictCheck(entry);
+    if (updated) {
+      currentItem = updated;
+      populateMetadata(currentItem);
+      mdContentEl.innerHTML = renderMarkdown(currentItem.mdContent);
+      generateTableOfContents();
+      showSuccess(`${label} reverted.`);
+      loadHistory();
+      cacheItemData();
+    }
+  }
+
+  /**
+   * Revert a history entry conditional on the updated_at the item was loaded
+   * with. If someone changed only other fields meanwhile the revert goes
+   * ahead; if they changed this field, ask before overwriting their value.
+   * Resolves to the updated item, or null when not reverted.
+   */
+  async function revertWithConflictCheck(entry) {
+    const label = FIELD_LABELS[entry.field] || entry.field;
+    const key = entry.field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    let expectedUpdatedAt = currentItem.updated_at;
+    let knownValue = currentItem[key];
+
+    // A few retries in case the item keeps changing under us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const updated = await revertItemField(currentItem.id, entry.field, entry.old_value, expectedUpdatedAt);
+      if (!updated) return null;
+      if (!updated.conflict) return updated;
+
+      const current = await fetchItem(currentItem.id);
+      if (!current) {
+        showError('This item was deleted by someone else, so it was not reverted.');
+        return null;
+      }
+
+      const theyChangedField = JSON.stringify(current[key]) !== JSON.stringify(knownValue);
+      if (theyChangedField &&
+          !confirm(`Someone else has since changed ${label} to "${formatHistoryValue(entry.field, current[key])}". Revert it anyway?`)) {
+        currentItem = current;
+        populateMetadata(currentItem);
+        return null;
+      }
+      knownValue = current[key];
+      expectedUpdatedAt = current.updated_at;
+    }
+
+    showError('The item keeps changing. Please try reverting again.');
+    return null;
+  }
+
+  /**
+   * Save one field conditional on the updated_at the item was loaded with,
+   * using update(expectedUpdatedAt) for the write. If someone changed only
+   * other fields meanwhile the save goes ahead; if they changed this field,
+   * ask before overwriting their value. Resolves to the updated item, or null
+   * when not saved.
+   */
+  async function saveFieldWithConflictCheck(field, value, update) {
+    const label = FIELD_LABELS[field] || field;
+    const key = field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    let expectedUpdatedAt = currentItem.updated_at;
+    let knownValue = currentItem[key];
+
+    // A few retries in case the item keeps changing under us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const updated = await update(expectedUpdatedAt);
+      if (!updated) return null;
+      if (!updated.conflict) return updated;
+
+      const current = await fetchItem(currentItem.id);
+      if (!current) {
+        showError('This item was deleted by someone else, so your change was not saved.');
+        return null;
+      }
+
+      const theyChangedField = current[key] !== knownValue && current[key] !== value;
+      if (theyChangedField &&
+          !confirm(`Someone else has since changed ${label} to "${formatHistoryValue(field, current[key])}". Save yours anyway?`)) {
+        currentItem = current;
+        populateMetadata(currentItem);
+        return null;
+      }
+      knownValue = current[key];
+      expectedUpdatedAt = current.updated_at;
+    }
+
+    showError('The item keeps changing. Please try saving again.');
+    return null;
+  }
+
+  /**
+   * Restore the current item from the trash
+   */
+  async function handleRestoreFromTrash() {
+    const restored = await revertItemField(currentItem.id, 'deleted_at', null);
+    if (restored) {
+      currentItem = restored;
+      populateMetadata(currentItem);
+      showSuccess('Item restored from the trash.');
+    }
+  }
+
   /**
    * Generate table of contents from markdown headings
    */
@@ -456,15 +1599,16 @@
     saveBtn.disabled = true;
     saveBtn.textContent = 'Saving...';
 
-    // Update in Supabase
-    const updated = await updateMarkdownContent(currentItem.id, newMarkdown);
+    // Update in Supabase, guarded against concurrent edits
+    const result = await saveMarkdownWithConflictCheck(newMarkdown);
 
-    if (updated) {
-      // Update current item
-      currentItem.mdContent = newMarkdown;
+    if (result.status === 'saved' || result.status === 'theirs') {
+      // Update current item (picks up any other fields changed meanwhile)
+      currentItem = result.item;
+      populateMetadata(currentItem);
 
       // Re-render the markdown content view
-      mdContentEl.innerHTML = renderMarkdown(newMarkdown);
+      mdContentEl.innerHTML = renderMarkdown(currentItem.mdContent);
 
       // Regenerate table of contents
       generateTableOfContents();
@@ -473,15 +1617,206 @@
       exitEditMode(true);
 
       // Show success message
-      showSuccess('Markdown content saved successfully!');
+      if (result.status === 'theirs') {
+        showSuccess('Your changes were discarded in favour of the latest version.');
+      } else if (offlineStore.getPendingFields(currentItem.id).has('md_content')) {
+        showSuccess('Saved on this device. It will sync when the connection returns.');
+      } else {
+        showSuccess('Markdown content saved successfully!');
+      }
+      cacheItemData();
+    }
+
+    // Re-enable button
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save';
+  }
+
+  /**
+   * Save the markdown conditional on the updated_at the item was loaded with.
+   * If only other fields changed meanwhile the save goes ahead; if the markdown
+   * itself changed, the conflict dialog shows a diff of both versions.
+   * Resolves to { status: 'saved' | 'theirs', item } or { status: 'cancel' | 'error' }.
+   */
+  async function saveMarkdownWithConflictCheck(markdown) {
+    let expectedUpdatedAt = currentItem.updated_at;
+
+    // A few retries in case the item keeps changing under us
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const updated = await updateMarkdownContent(currentItem.id, markdown, expectedUpdatedAt);
+      if (!updated) return { status: 'error' };
+      if (!updated.conflict) return { status: 'saved', item: updated };
+
+      const current = await fetchItem(currentItem.id);
+      if (!current) {
+        showError('This item was deleted by someone else, so your changes were not saved.');
+        return { status: 'error' };
+      }
+
+      const theirMarkdown = current.mdContent || '';
+      if (theirMarkdown !== originalMarkdown && theirMarkdown !== markdown) {
+        const choice = await openConflictModal(markdown, theirMarkdown);
+        if (choice === 'theirs') {
+          return { status: 'theirs', item: current };
+        }
+        if (choice === 'cancel') {
+          return { status: 'cancel' };
+        }
+      }
+      expectedUpdatedAt = current.updated_at;
+    }
+
+    showError('The item keeps changing. Please try saving again.');
+    return { status: 'error' };
+  }
 
-      // Re-enable button
-      saveBtn.disabled = false;
-      saveBtn.textContent = 'Save';
+  /**
+   * Save the current item, payments and vendors to the device for offline use
+   */
+  function cacheItemData() {
+    const cachedItems = offlineStore.getCache(`items-${workspaceId}`) || {};
+    cachedItems[currentItem.id] = { item: currentItem, payments: currentPayments, vendors, guestCount, categoryRates, cachedAt: Date.now() };
+
+    Object.keys(cachedItems)
+      .sort((a, b) => (cachedItems[b].cachedAt || 0) - (cachedItems[a].cachedAt || 0))
+      .slice(ITEM_CACHE_LIMIT)
+      .forEach(id => delete cachedItems[id]);
+
+    offlineStore.setCache(`items-${workspaceId}`, cachedItems);
+  }
+
+  /**
+   * Load an item from the device cache, falling back to the list page's cache
+   */
+  function getCachedItemData(id) {
+    const cachedItems = offlineStore.getCache(`items-${workspaceId}`) || {};
+    if (cachedItems[id]) {
+      return cachedItems[id];
+    }
+
+    const list = offlineStore.getCache(`list-${workspaceId}`);
+    const listItem = list && list.originalData.concat(list.trashedItems).find(item => item.id === id);
+    if (!listItem) return null;
+    return {
+      item: { ...listItem, created_at: null, updated_at: listItem.updatedAt },
+      payments: list.payments.filter(payment => payment.itemId === id),
+      vendors: list.vendors,
+      guestCount: list.guestCount,
+      categoryRates: (list.categoryRates || {})[listItem.category] || null
+    };
+  }
+
+  /**
+   * Replay queued offline writes, then reload the item from Supabase
+   */
+  async function syncOutbox() {
+    const result = await offlineStore.replay(supabaseClient);
+    updateOfflineStatus();
+    if (!result || (result.applied === 0 && result.skipped.length === 0)) return;
+
+    // Leave the page alone while the markdown editor is open
+    const item = await fetchItem(currentItem.id);
+    if (item && editMode.style.display !== 'block') {
+      currentItem = item;
+      populateMetadata(currentItem);
+      mdContentEl.innerHTML = renderMarkdown(currentItem.mdContent);
+      generateTableOfContents();
+      cacheItemData();
+    }
+
+    if (result.applied > 0) {
+      showSuccess(`Synced ${result.applied} offline change${result.applied === 1 ? '' : 's'}.`);
+    }
+    if (result.skipped.length > 0) {
+      const reasons = [...new Set(result.skipped.map(op => op.reason))].join('; ');
+      showError(`${result.skipped.length} offline change${result.skipped.length === 1 ? ' was' : 's were'} not applied: ${reasons}.`);
+    }
+  }
+
+  /**
+   * Show or hide the offline banner, noting queued changes to this item
+   */
+  function updateOfflineStatus() {
+    const banner = document.getElementById('offlineBanner');
+    const hasPending = currentItem && offlineStore.getPendingFields(currentItem.id).size > 0;
+
+    if (offlineStore.isOffline()) {
+      banner.textContent = 'You are offline. Showing the copy saved on this device' +
+        (hasPending ? '; changes to this item will sync when the connection returns.' : '.');
+      banner.style.display = 'block';
+    } else if (offlineStore.getOutbox().length > 0) {
+      banner.textContent = 'Back online. Syncing offline changes...';
+      banner.style.display = 'block';
     } else {
-      // Re-enable button on error
-      saveBtn.disabled = false;
-      saveBtn.textContent = 'Save';
+      banner.style.display = 'none';
+    }
+  }
+
+  /**
+   * Line diff of two texts via longest common subsequence.
+   * Returns [{ type: 'same' | 'removed' | 'added', text }] turning `from` into `to`.
+   */
+  function diffLines(from, to) {
+    const a = from.split('\n');
+    const b = to.split('\n');
+
+    // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push({ type: 'same', text: a[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        lines.push({ type: 'removed', text: a[i++] });
+      } else {
+        lines.push({ type: 'added', text: b[j++] });
+      }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+    return lines;
+  }
+
+  /**
+   * Show the save-conflict dialog with a diff of their markdown against mine;
+   * resolves to 'mine', 'theirs' or 'cancel'
+   */
+  function openConflictModal(mine, theirs) {
+    const diffEl = document.getElementById('conflictDiff');
+    diffEl.innerHTML = '';
+    diffLines(theirs, mine).forEach(line => {
+      const div = document.createElement('div');
+      div.className = `md-diff-line md-diff-${line.type}`;
+      const prefix = line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  ';
+      div.textContent = prefix + line.text;
+      diffEl.appendChild(div);
+    });
+    document.getElementById('conflictModal').classList.add('show');
+
+    return new Promise(resolve => {
+      conflictResolver = resolve;
+    });
+  }
+
+  /**
+   * Close the save-conflict dialog with the chosen option
+   */
+  function closeConflictModal(choice) {
+    document.getElementById('conflictModal').classList.remove('show');
+    if (conflictResolver) {
+      const resolve = conflictResolver;
+      conflictResolver = null;
+      resolve(choice);
     }
   }
 
@@ -510,6 +1845,10 @@
    * Handle ESC key press
    */
   function handleKeyDown(e) {
+    if (e.key === 'Escape' && conflictResolver) {
+      closeConflictModal('cancel');
+      return;
+    }
     if (e.key === 'Escape' && markdownEditor.style.display === 'block') {
       cancelEditing();
     }
@@ -521,10 +1860,16 @@
     editMode = document.getElementById('editMode');
     itemTitle = document.getElementById('itemTitle');
     categoryBadge = document.getElementById('categoryBadge');
+    tagBadges = document.getElementById('tagBadges');
     requiredBadge = document.getElementById('requiredBadge');
     metaUnitCost = document.getElementById('metaUnitCost');
     metaQuantity = document.getElementById('metaQuantity');
     metaSubtotal = document.getElementById('metaSubtotal');
+    metaTotalWithFees = document.getElementById('metaTotalWithFees');
+    metaActualCost = document.getElementById('metaActualCost');
+    metaVariance = document.getElementById('metaVariance');
+    metaPaid = document.getElementById('metaPaid');
+    metaBalanceDue = document.getElementById('metaBalanceDue');
     metaTimestamps = document.getElementById('metaTimestamps');
     tableOfContents = document.getElementById('tableOfContents');
     tocList = document.getElementById('tocList');
@@ -552,15 +1897,45 @@
       return;
     }
 
-    const item = await fetchItem(id);
+    // Signed-out visitors are redirected to the sign-in page
+    const context = await workspaceAuth.requireWorkspace(supabaseClient);
+    if (!context) return;
+    offlineStore.setUser(context.user.id);
+    workspaceId = context.workspace.id;
+    workspaceRole = context.workspace.role;
+    workspaceAuth.renderAccountBar(supabaseClient, context);
+
+    let item;
+    if (offlineStore.isOffline()) {
+      const cached = getCachedItemData(id);
+      if (!cached) {
+        showError('You are offline and this item has not been saved on this device yet.');
+        mdContentEl.innerHTML = '';
+        return;
+      }
+      ({ item, payments: currentPayments, vendors } = cached);
+      guestCount = cached.guestCount !== undefined ? cached.guestCount : null;
+      categoryRates = cached.categoryRates || null;
+      currentItem = item;
+    } else {
+      item = await fetchItem(id);
 
-    if (!item) {
-      showError('Item not found in database.');
-      mdContentEl.innerHTML = '';
-      return;
-    }
+      if (!item) {
+        showError('Item not found in database.');
+        mdContentEl.innerHTML = '';
+        return;
+      }
 
-    currentItem = item;
+      currentItem = item;
+      [currentPayments, vendors, guestCount, categoryRates] = await Promise.all([
+        fetchPayments(item.id),
+        fetchVendors(),
+        fetchGuestCount(),
+        fetchCategoryRates(item.category)
+      ]);
+      cacheItemData();
+    }
+    updateOfflineStatus();
 
     // Populate all metadata
     populateMetadata(item);
@@ -571,8 +1946,12 @@
     // Generate table of contents
     generateTableOfContents();
 
-    // Show action buttons
-    editBtn.style.display = 'inline-block';
+    // Show action buttons (viewers can't edit)
+    if (workspaceAuth.canEdit(workspaceRole)) {
+      editBtn.style.display = 'inline-block';
+    } else {
+      document.getElementById('paymentForm').style.display = 'none';
+    }
     printBtn.style.display = 'inline-block';
 
     // Set up event listeners
@@ -582,6 +1961,26 @@
     cancelBtn.addEventListener('click', cancelEditing);
     mdTextarea.addEventListener('input', handleTextareaInput);
     document.addEventListener('keydown', handleKeyDown);
+    document.getElementById('paymentForm').addEventListener('submit', handleAddPayment);
+    document.getElementById('vendorSelect').addEventListener('change', handleVendorChange);
+    document.getElementById('restoreFromTrashBtn').addEventListener('click', handleRestoreFromTrash);
+    document.getElementById('statusControl').addEventListener('click', handleStatusClick);
+    document.getElementById('conflictKeepMineBtn').addEventListener('click', () => closeConflictModal('mine'));
+    document.getElementById('conflictUseTheirsBtn').addEventListener('click', () => closeConflictModal('theirs'));
+    document.getElementById('conflictCancelBtn').addEventListener('click', () => closeConflictModal('cancel'));
+    document.getElementById('conflictClose').addEventListener('click', () => closeConflictModal('cancel'));
+    document.querySelectorAll('.tab').forEach(tab => {
+      tab.addEventListener('click', () => showTab(tab.dataset.tab));
+    });
+    resetPaymentForm();
+
+    // Offline mode: queue markdown saves while offline, replay them when back online
+    window.addEventListener('online', () => {
+      updateOfflineStatus();
+      syncOutbox();
+    });
+    window.addEventListener('offline', updateOfflineStatus);
+    syncOutbox();
   }
 
   window.addEventListener('DOMContentLoaded', init);
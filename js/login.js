@@ -0,0 +1,250 @@
+/*
+ * Front-end logic for the sign-in page.
+ *
+ * Signs users in with Supabase Auth (password or emailed sign-in link),
+ * accepts any pending workspace invites for their email address, and lets
+ * first-time users create a workspace before returning to the page they
+ * came from.
+ */
+
+(() => {
+  // Initialize Supabase client
+  const { createClient } = supabase;
+  const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+
+  // Set while a signed-in user is being routed, so auth events don't repeat it
+  let isRouting = false;
+
+  /**
+   * Display an error message to the user
+   */
+  function showError(message) {
+    const main = document.querySelector('main');
+    const existingError = main.querySelector('.error-banner');
+    if (existingError) {
+      existingError.remove();
+    }
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-banner';
+    errorDiv.textContent = message;
+    main.insertBefore(errorDiv, main.firstChild);
+
+    // Auto-remove after 5 seconds
+    setTimeout(() => errorDiv.remove(), 5000);
+  }
+
+  /**
+   * Display a success message to the user
+   */
+  function showSuccess(message) {
+    const main = document.querySelector('main');
+    const existingSuccess = main.querySelector('.success-banner');
+    if (existingSuccess) {
+      existingSuccess.remove();
+    }
+
+    const successDiv = document.createElement('div');
+    successDiv.className = 'success-banner';
+    successDiv.textContent = message;
+    main.insertBefore(successDiv, main.firstChild);
+
+    // Auto-remove after 5 seconds (these messages ask the user to check their email)
+    setTimeout(() => successDiv.remove(), 5000);
+  }
+
+  /**
+   * Get the page to return to after signing in (same-site relative paths only)
+   */
+  function getNextPage() {
+    const next = new URLSearchParams(window.location.search).get('next');
+    return next && /^[\w.-]+\.html(\?.*)?$/.test(next) ? next : 'index.html';
+  }
+
+  /**
+   * Show one of the sign-in / create-workspace sections
+   */
+  function showSection(id) {
+    ['signInSection', 'createWorkspaceSection'].forEach(sectionId => {
+      document.getElementById(sectionId).style.display = sectionId === id ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Join invited workspaces, then continue to the app or ask for a new workspace
+   */
+  async function routeSignedInUser(user) {
+    if (isRouting) return;
+    isRouting = true;
+
+    const { error: inviteError } = await supabaseClient.rpc('accept_workspace_invites');
+    if (inviteError) {
+      // Not fatal: the user may still have workspaces of their own
+      console.error('Error accepting invites:', inviteError);
+    }
+
+    const workspaces = await workspaceAuth.fetchWorkspaces(supabaseClient, user.id);
+    if (workspaces === null) {
+      showError('Failed to load your workspaces. Please refresh the page.');
+      isRouting = false;
+      return;
+    }
+
+    if (workspaces.length > 0) {
+      window.location.href = getNextPage();
+      return;
+    }
+
+    document.getElementById('createWorkspaceEmail').textContent = user.email;
+    showSection('createWorkspaceSection');
+    document.getElementById('workspaceName').focus();
+    isRouting = false;
+  }
+
+  /**
+   * Read the email and password inputs
+   */
+  function getCredentials() {
+    return {
+      email: document.getElementById('authEmail').value.trim(),
+      password: document.getElementById('authPassword').value
+    };
+  }
+
+  /**
+   * Sign in with email and password
+   */
+  async function handleSignIn(e) {
+    e.preventDefault();
+    const { email, password } = getCredentials();
+    if (!password) {
+      showError('Enter your password, or use "Email Me a Sign-In Link".');
+      return;
+    }
+
+    const signInBtn = document.getElementById('signInBtn');
+    signInBtn.disabled = true;
+    signInBtn.textContent = 'Signing in...';
+
+    const { data, error } = await supabaseClient.auth.signInWithPassword({ email, password });
+
+    signInBtn.disabled = false;
+    signInBtn.textContent = 'Sign In';
+
+    if (error) {
+      console.error('Error signing in:', error);
+      showError(error.message || 'Failed to sign in. Please try again.');
+      return;
+    }
+
+    routeSignedInUser(data.user);
+  }
+
+  /**
+   * Create an account with email and password
+   */
+  async function handleSignUp() {
+    const { email, password } = getCredentials();
+    if (!email || password.length < 6) {
+      showError('Enter your email and a password of at least 6 characters.');
+      return;
+    }
+
+    const { data, error } = await supabaseClient.auth.signUp({
+      email,
+      password,
+      options: { emailRedirectTo: window.location.href }
+    });
+
+    if (error) {
+      console.error('Error signing up:', error);
+      showError(error.message || 'Failed to create the account. Please try again.');
+      return;
+    }
+
+    // With email confirmation enabled there is no session until the link is clicked
+    if (data.session) {
+      routeSignedInUser(data.user);
+    } else {
+      showSuccess(`Check ${email} for a link to confirm your account.`);
+    }
+  }
+
+  /**
+   * Email a one-time sign-in link (also how invited collaborators first sign in)
+   */
+  async function handleMagicLink() {
+    const { email } = getCredentials();
+    if (!email) {
+      showError('Enter your email address first.');
+      return;
+    }
+
+    const { error } = await supabaseClient.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: window.location.href }
+    });
+
+    if (error) {
+      console.error('Error sending sign-in link:', error);
+      showError(error.message || 'Failed to send the sign-in link. Please try again.');
+      return;
+    }
+
+    showSuccess(`Check ${email} for your sign-in link.`);
+  }
+
+  /**
+   * Create the user's first workspace
+   */
+  async function handleCreateWorkspace(e) {
+    e.preventDefault();
+    const name = document.getElementById('workspaceName').value.trim();
+    if (!name) return;
+
+    const createBtn = document.getElementById('createWorkspaceBtn');
+    createBtn.disabled = true;
+    createBtn.textContent = 'Creating...';
+
+    const { data: workspaceId, error } = await supabaseClient.rpc('create_workspace', { workspace_name: name });
+
+    if (error) {
+      console.error('Error creating workspace:', error);
+      showError('Failed to create the workspace. Please try again.');
+      createBtn.disabled = false;
+      createBtn.textContent = 'Create Workspace';
+      return;
+    }
+
+    workspaceAuth.setActiveWorkspace(workspaceId);
+    window.location.href = getNextPage();
+  }
+
+  async function init() {
+    document.getElementById('signInForm').addEventListener('submit', handleSignIn);
+    document.getElementById('signUpBtn').addEventListener('click', handleSignUp);
+    document.getElementById('magicLinkBtn').addEventListener('click', handleMagicLink);
+    document.getElementById('createWorkspaceForm').addEventListener('submit', handleCreateWorkspace);
+    document.getElementById('createWorkspaceSignOutBtn').addEventListener('click', async () => {
+      await supabaseClient.auth.signOut();
+      showSection('signInSection');
+    });
+
+    // Sign-in links land back here with the session in the URL
+    supabaseClient.auth.onAuthStateChange((event, session) => {
+      if (event === 'SIGNED_IN' && session) {
+        routeSignedInUser(session.user);
+      }
+    });
+
+    const { data: { session } } = await supabaseClient.auth.getSession();
+    if (session) {
+      routeSignedInUser(session.user);
+    } else {
+      showSection('signInSection');
+      document.getElementById('authEmail').focus();
+    }
+  }
+
+  window.addEventListener('DOMContentLoaded', init);
+})();
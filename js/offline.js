@@ -0,0 +1,280 @@
+/*
+ * Offline support shared by the list and item pages.
+ *
+ * Keeps a localStorage cache of the last fetched data and an outbox of
+ * budget_items writes made while offline, replayed in order once the
+ * connection returns. The outbox belongs to the signed-in user (pages call
+ * `setUser()` first), so one account's writes are never replayed under
+ * another's. Exposed as `window.offlineStore`.
+ */
+
+(() => {
+  const CACHE_PREFIX = 'weddingBudget.cache.';
+  const OUTBOX_PREFIX = 'weddingBudget.outbox.';
+
+  // Before outboxes were per user; whose writes it holds can't be known
+  const LEGACY_OUTBOX_KEY = 'weddingBudget.outbox';
+
+  // Items created offline get a temporary id until the insert is replayed
+  const TEMP_ID_PREFIX = 'offline-';
+
+  let replaying = false;
+  let currentUserId = null;
+
+  /**
+   * Read and parse a JSON value from localStorage
+   */
+  function readJson(key, fallback) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : fallback;
+    } catch (err) {
+      console.error('Error reading offline storage:', err);
+      return fallback;
+    }
+  }
+
+  /**
+   * Serialize a value into localStorage
+   */
+  function writeJson(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      // Usually the storage quota; the app keeps working online
+      console.error('Error writing offline storage:', err);
+    }
+  }
+
+  /**
+   * Whether the browser currently has no connection
+   */
+  function isOffline() {
+    return !navigator.onLine;
+  }
+
+  /**
+   * Get a cached data snapshot by name
+   */
+  function getCache(name) {
+    return readJson(CACHE_PREFIX + name, null);
+  }
+
+  /**
+   * Store a data snapshot by name
+   */
+  function setCache(name, data) {
+    writeJson(CACHE_PREFIX + name, data);
+  }
+
+  /**
+   * Set the signed-in user whose outbox is read, written and replayed
+   */
+  function setUser(userId) {
+    currentUserId = userId;
+    localStorage.removeItem(LEGACY_OUTBOX_KEY);
+  }
+
+  /**
+   * Forget everything stored for the signed-in user on sign-out: their queued
+   * writes and the cached data snapshots
+   */
+  function clearUserData() {
+    if (currentUserId) {
+      localStorage.removeItem(OUTBOX_PREFIX + currentUserId);
+    }
+    Object.keys(localStorage)
+      .filter(key => key.startsWith(CACHE_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+    currentUserId = null;
+  }
+
+  /**
+   * Get the signed-in user's queued writes, oldest first (none before setUser)
+   */
+  function getOutbox() {
+    return currentUserId ? readJson(OUTBOX_PREFIX + currentUserId, []) : [];
+  }
+
+  /**
+   * Replace the signed-in user's queued writes
+   */
+  function saveOutbox(outbox) {
+    if (!currentUserId) return;
+    writeJson(OUTBOX_PREFIX + currentUserId, outbox);
+  }
+
+  /**
+   * Whether a write should go to the outbox: while offline, and while older
+   * writes are still queued so that everything reaches the server in order
+   */
+  function shouldQueue() {
+    return isOffline() || getOutbox().length > 0;
+  }
+
+  /**
+   * Queue a write. Ops are { type: 'insert', table, id, values } or
+   * { type: 'update', table, id, field, value, oldValue }.
+   */
+  function enqueue(op) {
+    if (!currentUserId) {
+      console.error('Offline write dropped: no signed-in user');
+      return;
+    }
+    const outbox = getOutbox();
+    outbox.push({ ...op, queuedAt: new Date().toISOString() });
+    saveOutbox(outbox);
+  }
+
+  /**
+   * Create a temporary id for an item inserted offline
+   */
+  function createTempId() {
+    return `${TEMP_ID_PREFIX}${Date.now()}`;
+  }
+
+  /**
+   * Check whether an id is a temporary offline id
+   */
+  function isTempId(id) {
+    return typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+  }
+
+  /**
+   * Get the database fields with queued writes for a row ('insert' marks a queued create)
+   */
+  function getPendingFields(id) {
+    const fields = new Set();
+    getOutbox()
+      .filter(op => op.id === id)
+      .forEach(op => fields.add(op.type === 'insert' ? 'insert' : op.field));
+    return fields;
+  }
+
+  /**
+   * Compare two field values, treating null, undefined and '' as equal and
+   * numbers and numeric strings by value
+   */
+  function valuesEqual(a, b) {
+    const isEmptyA = a === null || a === undefined || a === '';
+    const isEmptyB = b === null || b === undefined || b === '';
+    if (isEmptyA || isEmptyB) return isEmptyA === isEmptyB;
+    return String(a) === String(b);
+  }
+
+  /**
+   * Apply one queued write. Resolves to { status: 'applied', insertedId? },
+   * { status: 'skipped', reason } or { status: 'failed' } (connection lost; retry later).
+   */
+  async function applyOp(client, op) {
+    if (op.type === 'insert') {
+      const { data, error } = await client.from(op.table).insert([op.values]).select();
+      if (error) {
+        console.error('Error replaying insert:', error);
+        return isOffline() ? { status: 'failed' } : { status: 'skipped', reason: error.message };
+      }
+      return { status: 'applied', insertedId: data && data.length > 0 ? data[0].id : null };
+    }
+
+    // Only write if nobody else changed the field since it was edited offline
+    const { data: current, error: fetchError } = await client
+      .from(op.table)
+      .select(op.field)
+      .eq('id', op.id)
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error('Error replaying update:', fetchError);
+      return isOffline() ? { status: 'failed' } : { status: 'skipped', reason: fetchError.message };
+    }
+    if (!current) {
+      return { status: 'skipped', reason: 'the item no longer exists' };
+    }
+    if (!valuesEqual(current[op.field], op.oldValue) && !valuesEqual(current[op.field], op.value)) {
+      return { status: 'skipped', reason: 'someone else changed it meanwhile' };
+    }
+
+    const { error } = await client
+      .from(op.table)
+      .update({ [op.field]: op.value })
+      .eq('id', op.id);
+
+    if (error) {
+      console.error('Error replaying update:', error);
+      return isOffline() ? { status: 'failed' } : { status: 'skipped', reason: error.message };
+    }
+    return { status: 'applied' };
+  }
+
+  /**
+   * Replay the outbox in order. Stops at the first write that fails for lack
+   * of a connection and leaves it (and everything after it) queued.
+   * Resolves to { applied, skipped, idMap, failed }, or null if nothing ran.
+   */
+  async function replay(client) {
+    if (replaying || isOffline() || getOutbox().length === 0) return null;
+
+    // Both pages may be open; the lock stops two tabs replaying the same insert
+    if (navigator.locks) {
+      return navigator.locks.request(OUTBOX_PREFIX + currentUserId, () => replayOutbox(client));
+    }
+    return replayOutbox(client);
+  }
+
+  /**
+   * Apply queued writes one by one, removing each from the outbox once handled
+   */
+  async function replayOutbox(client) {
+    if (replaying || getOutbox().length === 0) return null;
+
+    replaying = true;
+    const result = { applied: 0, skipped: [], idMap: {}, failed: false };
+
+    try {
+      while (getOutbox().length > 0) {
+        const [op] = getOutbox();
+        const outcome = await applyOp(client, op);
+        if (outcome.status === 'failed') {
+          result.failed = true;
+          break;
+        }
+
+        // Re-read: writes may have been queued while this one was in flight
+        let rest = getOutbox().slice(1);
+        if (outcome.insertedId) {
+          result.idMap[op.id] = outcome.insertedId;
+          rest = rest.map(next => (next.id === op.id ? { ...next, id: outcome.insertedId } : next));
+        }
+        saveOutbox(rest);
+
+        if (outcome.status === 'applied') {
+          result.applied++;
+        } else {
+          result.skipped.push({ ...op, reason: outcome.reason });
+        }
+      }
+    } catch (err) {
+      console.error('Unexpected error replaying outbox:', err);
+      result.failed = true;
+    } finally {
+      replaying = false;
+    }
+
+    return result;
+  }
+
+  window.offlineStore = {
+    setUser,
+    clearUserData,
+    isOffline,
+    getCache,
+    setCache,
+    getOutbox,
+    shouldQueue,
+    enqueue,
+    createTempId,
+    isTempId,
+    getPendingFields,
+    replay
+  };
+})();
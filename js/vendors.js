@@ -0,0 +1,671 @@
+/*
+ * Front-end logic for the vendor directory page.
+ *
+ * Fetches vendors and their linked budget items from Supabase and provides
+ * searching, filtering by contract status, and add/edit/delete via a modal form.
+ */
+
+(() => {
+  // Initialize Supabase client
+  const { createClient } = supabase;
+  const supabaseClient = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
+
+  // Display labels for contract statuses
+  const CONTRACT_STATUS_LABELS = {
+    none: 'No Contract',
+    negotiating: 'Negotiating',
+    sent: 'Contract Sent',
+    signed: 'Signed',
+    cancelled: 'Cancelled'
+  };
+
+  // Per-guest and per-table items take their quantity from the guest count
+  const GUEST_COUNT_SETTING_KEY = 'guest_count';
+  const DEFAULT_GUESTS_PER_TABLE = 8;
+
+  // Percentage charges added on top of the subtotal (item rate, else category default)
+  const RATE_FIELDS = ['tax_rate', 'service_rate', 'gratuity_rate'];
+
+  // Data storage
+  let vendors = [];
+  let linkedItems = [];
+  let guestCount = null;
+  // Default tax and fee rates by category name
+  let categoryRates = {};
+
+  // Vendor currently open in the modal (null when adding)
+  let editingVendorId = null;
+
+  // Active workspace; every query is scoped to it
+  let workspaceId = null;
+  let workspaceRole = null;
+
+  /**
+   * Transform database row (snake_case) to app format (camelCase)
+   */
+  function transformVendor(dbVendor) {
+    return {
+      id: dbVendor.id,
+      name: dbVendor.name,
+      contactPerson: dbVendor.contact_person,
+      phone: dbVendor.phone,
+      email: dbVendor.email,
+      website: dbVendor.website,
+      contractStatus: dbVendor.contract_status,
+      notes: dbVendor.notes
+    };
+  }
+
+  /**
+   * Transform app format (camelCase) to database format (snake_case)
+   */
+  function transformToDb(vendor) {
+    return {
+      workspace_id: workspaceId,
+      name: vendor.name,
+      contact_person: vendor.contactPerson || null,
+      phone: vendor.phone || null,
+      email: vendor.email || null,
+      website: vendor.website || null,
+      contract_status: vendor.contractStatus || 'none',
+      notes: vendor.notes || null
+    };
+  }
+
+  /**
+   * Fetch all vendors from Supabase
+   */
+  async function fetchAllVendors() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('vendors')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('name');
+
+      if (error) {
+        console.error('Error fetching vendors:', error);
+        showError('Failed to load vendors from database. Please refresh the page.');
+        return [];
+      }
+
+      return data ? data.map(transformVendor) : [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please refresh the page.');
+      return [];
+    }
+  }
+
+  /**
+   * Fetch the workspace's guest count setting (null if it hasn't been set)
+   */
+  async function fetchGuestCount() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_settings')
+        .select('value')
+        .eq('workspace_id', workspaceId)
+        .eq('key', GUEST_COUNT_SETTING_KEY)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching guest count:', error);
+        return null;
+      }
+
+      const count = data ? parseInt(data.value, 10) : NaN;
+      return isNaN(count) ? null : count;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the default tax and fee rates for every category, keyed by category name
+   */
+  async function fetchCategoryRates() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('category_rates')
+        .select('*')
+        .eq('workspace_id', workspaceId);
+
+      if (error) {
+        console.error('Error fetching category rates:', error);
+        return {};
+      }
+
+      return (data || []).reduce((rates, row) => {
+        rates[row.category] = row;
+        return rates;
+      }, {});
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return {};
+    }
+  }
+
+  /**
+   * Fetch budget items that are linked to a vendor
+   */
+  async function fetchLinkedItems() {
+    try {
+      const { data, error } = await supabaseClient
+        .from('budget_items')
+        .select('id, item, category, unit_cost, quantity, quantity_basis, guests_per_table, sub_total, tax_rate, service_rate, gratuity_rate, actual_cost, vendor_id')
+        .eq('workspace_id', workspaceId)
+        .not('vendor_id', 'is', null)
+        .is('deleted_at', null)
+        .order('item');
+
+      if (error) {
+        console.error('Error fetching linked items:', error);
+        return [];
+      }
+
+      return data || [];
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Create a new vendor in Supabase
+   */
+  async function createVendor(vendor) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('vendors')
+        .insert([transformToDb(vendor)])
+        .select();
+
+      if (error) {
+        console.error('Error creating vendor:', error);
+        showError('Failed to create vendor. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? transformVendor(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Update an existing vendor in Supabase
+   */
+  async function updateVendor(id, vendor) {
+    try {
+      const { data, error } = await supabaseClient
+        .from('vendors')
+        .update(transformToDb(vendor))
+        .eq('id', id)
+        .select();
+
+      if (error) {
+        console.error('Error updating vendor:', error);
+        showError('Failed to update vendor. Please try again.');
+        return null;
+      }
+
+      return data && data.length > 0 ? transformVendor(data[0]) : null;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return null;
+    }
+  }
+
+  /**
+   * Delete a vendor from Supabase (linked items are unlinked, not deleted)
+   */
+  async function deleteVendor(id) {
+    try {
+      const { error } = await supabaseClient
+        .from('vendors')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        console.error('Error deleting vendor:', error);
+        showError('Failed to delete vendor. Please try again.');
+        return false;
+      }
+
+      return true;
+    } catch (err) {
+      console.error('Unexpected error:', err);
+      showError('An unexpected error occurred. Please try again.');
+      return false;
+    }
+  }
+
+  /**
+   * Display an error message to the user
+   */
+  function showError(message) {
+    const main = document.querySelector('main');
+    const existingError = main.querySelector('.error-banner');
+    if (existingError) {
+      existingError.remove();
+    }
+
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'error-banner';
+    errorDiv.textContent = message;
+    main.insertBefore(errorDiv, main.firstChild);
+
+    // Auto-remove after 5 seconds
+    setTimeout(() => errorDiv.remove(), 5000);
+  }
+
+  /**
+   * Display a success message to the user
+   */
+  function showSuccess(message) {
+    const main = document.querySelector('main');
+    const existingSuccess = main.querySelector('.success-banner');
+    if (existingSuccess) {
+      existingSuccess.remove();
+    }
+
+    const successDiv = document.createElement('div');
+    successDiv.className = 'success-banner';
+    successDiv.textContent = message;
+    main.insertBefore(successDiv, main.firstChild);
+
+    // Auto-remove after 3 seconds
+    setTimeout(() => successDiv.remove(), 3000);
+  }
+
+  /**
+   * Format a number into US currency
+   */
+  function formatCurrency(value) {
+    if (value === null || value === undefined || isNaN(value)) return '—';
+    return `$${parseFloat(value).toFixed(2)}`;
+  }
+
+  /**
+   * Get the vendors matching the search and contract status filters
+   */
+  function getFilteredVendors() {
+    const searchTerm = document.getElementById('vendorSearchInput').value.trim().toLowerCase();
+    const statusValue = document.getElementById('contractStatusFilter').value;
+
+    return vendors.filter(vendor => {
+      const matchesSearch = !searchTerm ||
+        [vendor.name, vendor.contactPerson, vendor.email]
+          .some(value => value && value.toLowerCase().includes(searchTerm));
+      const matchesStatus = !statusValue || vendor.contractStatus === statusValue;
+      return matchesSearch && matchesStatus;
+    });
+  }
+
+  /**
+   * A vendor website as a link target, or null unless it is an http(s) URL
+   */
+  function getSafeWebsiteUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Build a contact line (label + link or text) for a vendor card
+   */
+  function createContactLine(label, value, href) {
+    const line = document.createElement('div');
+    line.className = 'vendor-contact-line';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'metadata-label';
+    labelEl.textContent = label;
+    line.appendChild(labelEl);
+
+    const valueEl = document.createElement(href ? 'a' : 'span');
+    valueEl.textContent = value;
+    if (href) {
+      valueEl.href = href;
+      if (href.startsWith('http')) {
+        valueEl.target = '_blank';
+        valueEl.rel = 'noopener';
+      }
+    }
+    line.appendChild(valueEl);
+
+    return line;
+  }
+
+  /**
+   * Whether a linked item's quantity is currently derived from the guest count
+   */
+  function isGuestDriven(item) {
+    return guestCount !== null && (item.quantity_basis === 'per_guest' || item.quantity_basis === 'per_table');
+  }
+
+  /**
+   * Get the quantity a linked item is priced at (the same rules as the item page)
+   */
+  function getEffectiveQuantity(item) {
+    if (isGuestDriven(item)) {
+      if (item.quantity_basis === 'per_guest') return guestCount;
+      const perTable = item.guests_per_table > 0 ? item.guests_per_table : DEFAULT_GUESTS_PER_TABLE;
+      return Math.ceil(guestCount / perTable);
+    }
+    return item.quantity !== null && item.quantity !== undefined ? parseFloat(item.quantity) : 1;
+  }
+
+  /**
+   * Calculate a linked item's subtotal, falling back to unit cost x quantity
+   * (the same rules as the item page)
+   */
+  function calculateSubTotal(item) {
+    if (item.sub_total !== null && item.sub_total !== undefined && !isGuestDriven(item)) {
+      return parseFloat(item.sub_total);
+    }
+    const cost = item.unit_cost !== null && item.unit_cost !== undefined ? parseFloat(item.unit_cost) : 0;
+    return cost * getEffectiveQuantity(item);
+  }
+
+  /**
+   * Calculate a linked item's estimate with tax and fees: its own rates where
+   * set, otherwise the category defaults (the same rules as the item page)
+   */
+  function calculateItemTotal(item) {
+    const defaults = categoryRates[item.category] || {};
+    const [taxRate, serviceRate, gratuityRate] = RATE_FIELDS.map(field => {
+      const rate = item[field] !== null && item[field] !== undefined ? item[field] : defaults[field];
+      return rate !== null && rate !== undefined ? parseFloat(rate) : 0;
+    });
+    const preTax = calculateSubTotal(item);
+    const service = preTax * serviceRate / 100;
+    const tax = (preTax + service) * taxRate / 100;
+    const gratuity = preTax * gratuityRate / 100;
+    return preTax + service + tax + gratuity;
+  }
+
+  /**
+   * Cost we expect to pay for a linked item: the actual cost once invoiced,
+   * otherwise the estimate with tax and fees
+   */
+  function calculateCommittedCost(item) {
+    if (item.actual_cost === null || item.actual_cost === undefined) {
+      return calculateItemTotal(item);
+    }
+    return parseFloat(item.actual_cost);
+  }
+
+  /**
+   * Render the vendor cards
+   */
+  function renderVendors() {
+    const grid = document.getElementById('vendorGrid');
+    const filtered = getFilteredVendors();
+    grid.innerHTML = '';
+
+    document.getElementById('vendorTotalCount').textContent = vendors.length;
+    document.getElementById('vendorVisibleCount').textContent = filtered.length;
+
+    if (filtered.length === 0) {
+      grid.innerHTML = '<p class="vendor-empty">No vendors found matching your filters.</p>';
+      return;
+    }
+
+    filtered.forEach(vendor => {
+      const card = document.createElement('section');
+      card.className = 'metadata-card vendor-card';
+      card.id = `vendor-${vendor.id}`;
+
+      const header = document.createElement('div');
+      header.className = 'vendor-card-header';
+
+      const title = document.createElement('h2');
+      title.className = 'metadata-title';
+      title.textContent = vendor.name;
+
+      const status = document.createElement('span');
+      status.className = `badge badge-contract badge-contract-${vendor.contractStatus}`;
+      status.textContent = CONTRACT_STATUS_LABELS[vendor.contractStatus] || vendor.contractStatus;
+
+      header.appendChild(title);
+      header.appendChild(status);
+      card.appendChild(header);
+
+      if (vendor.contactPerson) {
+        card.appendChild(createContactLine('Contact', vendor.contactPerson));
+      }
+      if (vendor.phone) {
+        card.appendChild(createContactLine('Phone', vendor.phone, `tel:${vendor.phone}`));
+      }
+      if (vendor.email) {
+        card.appendChild(createContactLine('Email', vendor.email, `mailto:${vendor.email}`));
+      }
+      if (vendor.website) {
+        card.appendChild(createContactLine('Website', vendor.website, getSafeWebsiteUrl(vendor.website)));
+      }
+      if (vendor.notes) {
+        const notes = document.createElement('p');
+        notes.className = 'vendor-notes';
+        notes.textContent = vendor.notes;
+        card.appendChild(notes);
+      }
+
+      // Linked budget items with their estimated total
+      const items = linkedItems.filter(item => item.vendor_id === vendor.id);
+      const itemsSection = document.createElement('div');
+      itemsSection.className = 'vendor-items';
+      if (items.length > 0) {
+        const total = items.reduce((sum, item) => sum + calculateCommittedCost(item), 0);
+        const itemsTitle = document.createElement('div');
+        itemsTitle.className = 'metadata-label';
+        itemsTitle.textContent = `${items.length} linked item${items.length === 1 ? '' : 's'} · ${formatCurrency(total)}`;
+        itemsSection.appendChild(itemsTitle);
+
+        const list = document.createElement('ul');
+        items.forEach(item => {
+          const li = document.createElement('li');
+          const link = document.createElement('a');
+          link.href = `item.html?id=${item.id}`;
+          link.textContent = item.item;
+          li.appendChild(link);
+          list.appendChild(li);
+        });
+        itemsSection.appendChild(list);
+      } else {
+        itemsSection.innerHTML = '<span class="metadata-timestamps">No linked budget items.</span>';
+      }
+      card.appendChild(itemsSection);
+
+      const actions = document.createElement('div');
+      actions.className = 'action-buttons vendor-actions';
+
+      // Viewers get no actions; editors can edit but not delete
+      if (workspaceAuth.canEdit(workspaceRole)) {
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-edit';
+        editBtn.innerHTML = '&#9998; Edit';
+        editBtn.addEventListener('click', () => openVendorModal(vendor));
+        actions.appendChild(editBtn);
+      }
+
+      if (workspaceAuth.canDelete(workspaceRole)) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => handleDeleteVendor(vendor));
+        actions.appendChild(deleteBtn);
+      }
+
+      if (actions.children.length > 0) {
+        card.appendChild(actions);
+      }
+
+      grid.appendChild(card);
+    });
+  }
+
+  /**
+   * Open the vendor modal, pre-filled when editing an existing vendor
+   */
+  function openVendorModal(vendor = null) {
+    editingVendorId = vendor ? vendor.id : null;
+    document.getElementById('vendorModalTitle').textContent = vendor ? 'Edit Vendor' : 'Add Vendor';
+    document.getElementById('vendorName').value = vendor ? vendor.name : '';
+    document.getElementById('vendorContact').value = vendor ? vendor.contactPerson || '' : '';
+    document.getElementById('vendorStatus').value = vendor ? vendor.contractStatus : 'none';
+    document.getElementById('vendorPhone').value = vendor ? vendor.phone || '' : '';
+    document.getElementById('vendorEmail').value = vendor ? vendor.email || '' : '';
+    document.getElementById('vendorWebsite').value = vendor ? vendor.website || '' : '';
+    document.getElementById('vendorNotes').value = vendor ? vendor.notes || '' : '';
+    document.getElementById('vendorModal').classList.add('show');
+    document.getElementById('vendorName').focus();
+  }
+
+  /**
+   * Close the vendor modal
+   */
+  function closeVendorModal() {
+    document.getElementById('vendorModal').classList.remove('show');
+    editingVendorId = null;
+  }
+
+  /**
+   * Handle vendor form submission (create or update)
+   */
+  async function handleVendorSubmit(e) {
+    e.preventDefault();
+
+    const vendor = {
+      name: document.getElementById('vendorName').value.trim(),
+      contactPerson: document.getElementById('vendorContact').value.trim(),
+      contractStatus: document.getElementById('vendorStatus').value,
+      phone: document.getElementById('vendorPhone').value.trim(),
+      email: document.getElementById('vendorEmail').value.trim(),
+      website: document.getElementById('vendorWebsite').value.trim(),
+      notes: document.getElementById('vendorNotes').value.trim()
+    };
+
+    if (!vendor.name) {
+      showError('Please enter a vendor name.');
+      return;
+    }
+
+    if (vendor.website && !getSafeWebsiteUrl(vendor.website)) {
+      showError('Website must be a link starting with http:// or https://.');
+      return;
+    }
+
+    const saveBtn = document.getElementById('vendorSaveBtn');
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+
+    const isNew = editingVendorId === null;
+    const saved = isNew
+      ? await createVendor(vendor)
+      : await updateVendor(editingVendorId, vendor);
+
+    saveBtn.disabled = false;
+    saveBtn.textContent = 'Save Vendor';
+
+    if (saved) {
+      if (isNew) {
+        vendors.push(saved);
+      } else {
+        vendors = vendors.map(v => (v.id === saved.id ? saved : v));
+      }
+      vendors.sort((a, b) => a.name.localeCompare(b.name));
+      closeVendorModal();
+      renderVendors();
+      showSuccess(isNew ? 'Vendor added.' : 'Vendor updated.');
+    }
+  }
+
+  /**
+   * Handle delete button click
+   */
+  async function handleDeleteVendor(vendor) {
+    const itemCount = linkedItems.filter(item => item.vendor_id === vendor.id).length;
+    const message = itemCount > 0
+      ? `Delete ${vendor.name}? ${itemCount} linked budget item${itemCount === 1 ? '' : 's'} will be unlinked.`
+      : `Delete ${vendor.name}? This action cannot be undone.`;
+
+    if (!confirm(message)) {
+      return;
+    }
+
+    const success = await deleteVendor(vendor.id);
+    if (success) {
+      vendors = vendors.filter(v => v.id !== vendor.id);
+      linkedItems = linkedItems.filter(item => item.vendor_id !== vendor.id);
+      renderVendors();
+      showSuccess('Vendor deleted.');
+    }
+  }
+
+  /**
+   * Initialize the page once the DOM is ready
+   */
+  async function init() {
+    document.getElementById('vendorGrid').innerHTML = '<p class="vendor-empty">Loading vendors from database...</p>';
+
+    // Signed-out visitors are redirected to the sign-in page
+    const context = await workspaceAuth.requireWorkspace(supabaseClient);
+    if (!context) return;
+    // Not used offline, but sign-out clears the offline data for this user
+    offlineStore.setUser(context.user.id);
+    workspaceId = context.workspace.id;
+    workspaceRole = context.workspace.role;
+    workspaceAuth.renderAccountBar(supabaseClient, context);
+    if (!workspaceAuth.canEdit(workspaceRole)) {
+      document.getElementById('addVendorBtn').style.display = 'none';
+    }
+
+    [vendors, linkedItems, guestCount, categoryRates] = await Promise.all([
+      fetchAllVendors(),
+      fetchLinkedItems(),
+      fetchGuestCount(),
+      fetchCategoryRates()
+    ]);
+
+    document.getElementById('vendorSearchInput').addEventListener('input', renderVendors);
+    document.getElementById('contractStatusFilter').addEventListener('change', renderVendors);
+    document.getElementById('addVendorBtn').addEventListener('click', () => openVendorModal());
+    document.getElementById('vendorForm').addEventListener('submit', handleVendorSubmit);
+    document.getElementById('vendorModalClose').addEventListener('click', closeVendorModal);
+    document.getElementById('vendorCancelBtn').addEventListener('click', closeVendorModal);
+    document.getElementById('vendorModal').addEventListener('click', (e) => {
+      if (e.target.id === 'vendorModal') closeVendorModal();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeVendorModal();
+    });
+
+    renderVendors();
+
+    // Scroll to a vendor linked from an item page (vendors.html#vendor-12)
+    if (window.location.hash) {
+      // Ignore hashes that aren't a valid selector
+      let target = null;
+      try {
+        target = document.querySelector(window.location.hash);
+      } catch (err) {
+        console.error('Invalid vendor link:', window.location.hash);
+      }
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        target.classList.add('vendor-card-highlight');
+      }
+    }
+  }
+
+  window.addEventListener('DOMContentLoaded', init);
+})();
@@ -2,8 +2,9 @@
 -- Wedding Budget Planner - Supabase Database Schema
 -- ============================================================================
 -- This SQL script sets up the database schema for the Wedding Budget Planner.
--- It includes the budget_items table and Row Level Security (RLS) policies
--- that allow anyone to read, insert, update, and delete items without authentication.
+-- Every table belongs to a workspace (one per couple). Row Level Security (RLS)
+-- policies only let signed-in members of a workspace read its rows; what they
+-- may change depends on their role (owner, editor or viewer).
 --
 -- To run this script:
 -- 1. Go to https://app.supabase.com/project/_/sql/new
@@ -11,39 +12,336 @@
 -- 3. Click "Run" to execute
 -- ============================================================================
 
+-- Create a function to automatically update the updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================================================
+-- Workspaces
+-- ============================================================================
+-- A workspace holds one couple's budget. Users sign in with Supabase Auth and
+-- see only the workspaces they are members of. Collaborators are invited by
+-- email and join when they first sign in with that address.
+--
+-- Roles:
+--   owner  - everything, including deletes, the trash and managing members
+--   editor - add and edit items, payments, vendors and budgets; no deletes
+--   viewer - read only
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id BIGINT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+-- role: added after workspaces were introduced (safe to re-run)
+ALTER TABLE workspace_members
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'editor'
+  CHECK (role IN ('owner', 'editor', 'viewer'));
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user_id ON workspace_members(user_id);
+
+CREATE TABLE IF NOT EXISTS workspace_invites (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+  invited_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  accepted_at TIMESTAMPTZ
+);
+
+ALTER TABLE workspace_invites
+  ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'editor'
+  CHECK (role IN ('owner', 'editor', 'viewer'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workspace_invites_pending
+  ON workspace_invites(workspace_id, lower(email)) WHERE accepted_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_workspaces_updated_at ON workspaces;
+CREATE TRIGGER update_workspaces_updated_at
+  BEFORE UPDATE ON workspaces
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Used by every policy below. SECURITY DEFINER so the membership lookup
+-- isn't itself filtered by the workspace_members policies.
+CREATE OR REPLACE FUNCTION is_workspace_member(target_workspace_id BIGINT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM workspace_members
+    WHERE workspace_id = target_workspace_id AND user_id = auth.uid()
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The signed-in user's role in a workspace, NULL when they aren't a member
+CREATE OR REPLACE FUNCTION workspace_role(target_workspace_id BIGINT)
+RETURNS TEXT AS $$
+  SELECT role FROM workspace_members
+  WHERE workspace_id = target_workspace_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Owners and editors can add and change rows
+CREATE OR REPLACE FUNCTION can_edit_workspace(target_workspace_id BIGINT)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(workspace_role(target_workspace_id) IN ('owner', 'editor'), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Only owners can delete rows, use the trash and manage members
+CREATE OR REPLACE FUNCTION is_workspace_owner(target_workspace_id BIGINT)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(workspace_role(target_workspace_id) = 'owner', FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Create a workspace with the signed-in user as its owner.
+-- Returns the new workspace id.
+CREATE OR REPLACE FUNCTION create_workspace(workspace_name TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+  new_workspace_id BIGINT;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'You must be signed in to create a workspace';
+  END IF;
+
+  INSERT INTO workspaces (name, created_by)
+  VALUES (workspace_name, auth.uid())
+  RETURNING id INTO new_workspace_id;
+
+  INSERT INTO workspace_members (workspace_id, user_id, email, role)
+  VALUES (new_workspace_id, auth.uid(), lower(auth.jwt() ->> 'email'), 'owner');
+
+  RETURN new_workspace_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Called after sign-in: join every workspace with a pending invite for the
+-- signed-in email address, with the role the invite was sent with. Returns
+-- the number of workspaces joined. Only a confirmed address counts, so nobody
+-- can claim an invite by signing up with someone else's email.
+CREATE OR REPLACE FUNCTION accept_workspace_invites()
+RETURNS INTEGER AS $$
+DECLARE
+  user_email TEXT;
+  joined INTEGER;
+BEGIN
+  SELECT lower(email) INTO user_email
+  FROM auth.users
+  WHERE id = auth.uid() AND email_confirmed_at IS NOT NULL;
+
+  IF auth.uid() IS NULL OR user_email IS NULL THEN
+    RETURN 0;
+  END IF;
+
+  INSERT INTO workspace_members (workspace_id, user_id, email, role)
+  SELECT workspace_id, auth.uid(), user_email, role
+  FROM workspace_invites
+  WHERE lower(email) = user_email AND accepted_at IS NULL
+  ON CONFLICT DO NOTHING;
+  GET DIAGNOSTICS joined = ROW_COUNT;
+
+  UPDATE workspace_invites
+  SET accepted_at = NOW()
+  WHERE lower(email) = user_email AND accepted_at IS NULL;
+
+  RETURN joined;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Upgrading: remove the anonymous read/write policies of the original
+-- public-access schema and the workspace policies of earlier versions of
+-- this script; they are recreated below
+DO $$
+DECLARE
+  pol RECORD;
+BEGIN
+  FOR pol IN
+    SELECT schemaname, tablename, policyname FROM pg_policies
+    WHERE schemaname = 'public'
+      AND (policyname LIKE 'Allow public %' OR policyname LIKE 'Workspace % can %')
+  LOOP
+    EXECUTE format('DROP POLICY %I ON %I.%I', pol.policyname, pol.schemaname, pol.tablename);
+  END LOOP;
+END $$;
+
+ALTER TABLE workspaces ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE workspace_invites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON workspaces
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(id));
+
+-- Workspaces are created through create_workspace()
+CREATE POLICY "Workspace owners can update"
+  ON workspaces
+  FOR UPDATE
+  TO authenticated
+  USING (is_workspace_owner(id))
+  WITH CHECK (is_workspace_owner(id));
+
+-- Memberships are added by create_workspace() and accept_workspace_invites()
+CREATE POLICY "Workspace members can read"
+  ON workspace_members
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace owners can update"
+  ON workspace_members
+  FOR UPDATE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id))
+  WITH CHECK (is_workspace_owner(workspace_id));
+
+-- Owners remove members; anyone can leave
+CREATE POLICY "Workspace owners can delete"
+  ON workspace_members
+  FOR DELETE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id) OR user_id = auth.uid());
+
+-- Every workspace keeps at least one owner
+CREATE OR REPLACE FUNCTION keep_workspace_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.role = 'owner'
+     AND (TG_OP = 'DELETE' OR NEW.role <> 'owner')
+     AND EXISTS (SELECT 1 FROM workspaces WHERE id = OLD.workspace_id)
+     AND NOT EXISTS (
+       SELECT 1 FROM workspace_members
+       WHERE workspace_id = OLD.workspace_id AND role = 'owner' AND user_id <> OLD.user_id
+     ) THEN
+    RAISE EXCEPTION 'A workspace needs at least one owner' USING ERRCODE = '42501';
+  END IF;
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS keep_workspace_owner ON workspace_members;
+CREATE TRIGGER keep_workspace_owner
+  BEFORE UPDATE OR DELETE ON workspace_members
+  FOR EACH ROW
+  EXECUTE FUNCTION keep_workspace_owner();
+
+CREATE POLICY "Workspace members can read"
+  ON workspace_invites
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace owners can insert"
+  ON workspace_invites
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (is_workspace_owner(workspace_id));
+
+CREATE POLICY "Workspace owners can delete"
+  ON workspace_invites
+  FOR DELETE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id));
+
 -- Drop existing table if it exists (use with caution in production!)
 -- DROP TABLE IF EXISTS budget_items CASCADE;
 
 -- Create the budget_items table
 CREATE TABLE IF NOT EXISTS budget_items (
   id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
   category TEXT NOT NULL,
   item TEXT NOT NULL,
   required TEXT,
+  status TEXT NOT NULL DEFAULT 'idea'
+    CHECK (status IN ('idea', 'quoted', 'booked', 'paid')),
   notes TEXT,
   unit_cost NUMERIC(10, 2),
   quantity NUMERIC(10, 2),
   sub_total NUMERIC(10, 2),
+  actual_cost NUMERIC(10, 2),
+  quantity_basis TEXT NOT NULL DEFAULT 'fixed'
+    CHECK (quantity_basis IN ('fixed', 'per_guest', 'per_table')),
+  guests_per_table NUMERIC(10, 2),
+  tax_rate NUMERIC(5, 2) CHECK (tax_rate >= 0),
+  service_rate NUMERIC(5, 2) CHECK (service_rate >= 0),
+  gratuity_rate NUMERIC(5, 2) CHECK (gratuity_rate >= 0),
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  position DOUBLE PRECISION,
   md_content TEXT,
   html TEXT,
+  deleted_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Add columns introduced after the initial release (safe to re-run)
+-- actual_cost: invoiced total, compared against the estimated sub_total
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS actual_cost NUMERIC(10, 2);
+-- deleted_at: set when an item is moved to the trash (soft delete)
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+-- workspace_id: the workspace that owns the item
+ALTER TABLE budget_items
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+-- quantity_basis: 'fixed' uses quantity as entered; 'per_guest' and 'per_table'
+-- derive it from the workspace's guest_count setting in budget_settings
+ALTER TABLE budget_items
+  ADD COLUMN IF NOT EXISTS quantity_basis TEXT NOT NULL DEFAULT 'fixed'
+  CHECK (quantity_basis IN ('fixed', 'per_guest', 'per_table'));
+-- guests_per_table: seats per table for 'per_table' items (the app defaults to 8)
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS guests_per_table NUMERIC(10, 2);
+-- tax_rate / service_rate / gratuity_rate: percentages added on top of the
+-- subtotal; NULL falls back to the category default in category_rates
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5, 2) CHECK (tax_rate >= 0);
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS service_rate NUMERIC(5, 2) CHECK (service_rate >= 0);
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS gratuity_rate NUMERIC(5, 2) CHECK (gratuity_rate >= 0);
+-- tags: free-form labels across categories ("DIY", "Needs quote")
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+-- position: manual list order, shared by everyone in the workspace. Moving a
+-- row sets it between its new neighbours; NULL sorts by id (creation order)
+ALTER TABLE budget_items ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION;
+-- status: workflow stage; 'booked' and 'paid' count as committed spend
+ALTER TABLE budget_items
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'idea'
+  CHECK (status IN ('idea', 'quoted', 'booked', 'paid'));
+
+CREATE INDEX IF NOT EXISTS idx_budget_items_workspace_id ON budget_items(workspace_id);
+
+-- Partial index for the common "not in trash" filter
+CREATE INDEX IF NOT EXISTS idx_budget_items_active ON budget_items(id) WHERE deleted_at IS NULL;
+
 -- Create an index on category for faster filtering
 CREATE INDEX IF NOT EXISTS idx_budget_items_category ON budget_items(category);
 
 -- Create an index on required for faster filtering
 CREATE INDEX IF NOT EXISTS idx_budget_items_required ON budget_items(required);
 
--- Create a function to automatically update the updated_at timestamp
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-  NEW.updated_at = NOW();
-  RETURN NEW;
-END;
-$$ LANGUAGE plpgsql;
+-- Manual order within a workspace
+CREATE INDEX IF NOT EXISTS idx_budget_items_position ON budget_items(workspace_id, position);
+
+-- Create an index on status for the status filter and funnel
+CREATE INDEX IF NOT EXISTS idx_budget_items_status ON budget_items(status);
+
+-- GIN index for tag lookups (tags @> ARRAY['DIY'])
+CREATE INDEX IF NOT EXISTS idx_budget_items_tags ON budget_items USING GIN (tags);
 
 -- Create a trigger to call the function before any UPDATE
 DROP TRIGGER IF EXISTS update_budget_items_updated_at ON budget_items;
@@ -55,43 +353,684 @@ CREATE TRIGGER update_budget_items_updated_at
 -- ============================================================================
 -- Row Level Security (RLS) Policies
 -- ============================================================================
--- These policies allow ANYONE (anonymous users) to perform all CRUD operations
--- without authentication. This is intentional per your requirements.
---
--- WARNING: This means anyone with access to your site can modify the data!
+-- Members of the owning workspace can read an item, editors can add and
+-- change it, and only owners can delete it or move it to and from the trash.
+-- Rows without a workspace_id (created before workspaces) are hidden until
+-- they are assigned to one; see SUPABASE_SETUP.md.
 -- ============================================================================
 
 -- Enable Row Level Security on the table
 ALTER TABLE budget_items ENABLE ROW LEVEL SECURITY;
 
--- Policy: Allow anyone to SELECT (read) all rows
-CREATE POLICY "Allow public read access"
+CREATE POLICY "Workspace members can read"
   ON budget_items
   FOR SELECT
-  TO anon, authenticated
-  USING (true);
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
 
--- Policy: Allow anyone to INSERT (create) new rows
-CREATE POLICY "Allow public insert access"
+CREATE POLICY "Workspace editors can insert"
   ON budget_items
   FOR INSERT
-  TO anon, authenticated
-  WITH CHECK (true);
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
 
--- Policy: Allow anyone to UPDATE (edit) any row
-CREATE POLICY "Allow public update access"
+CREATE POLICY "Workspace editors can update"
   ON budget_items
   FOR UPDATE
-  TO anon, authenticated
-  USING (true)
-  WITH CHECK (true);
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
 
--- Policy: Allow anyone to DELETE any row
-CREATE POLICY "Allow public delete access"
+CREATE POLICY "Workspace owners can delete"
   ON budget_items
   FOR DELETE
-  TO anon, authenticated
-  USING (true);
+  TO authenticated
+  USING (is_workspace_owner(workspace_id));
+
+-- Trashing is an UPDATE of deleted_at, so editors are stopped by a trigger.
+-- Requests without a user (SQL editor, service role) are not checked.
+CREATE OR REPLACE FUNCTION check_item_trash_permission()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at
+     AND auth.uid() IS NOT NULL
+     AND NOT is_workspace_owner(OLD.workspace_id) THEN
+    RAISE EXCEPTION 'Only workspace owners can move items to or from the trash'
+      USING ERRCODE = '42501';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_item_trash_permission ON budget_items;
+CREATE TRIGGER check_item_trash_permission
+  BEFORE UPDATE ON budget_items
+  FOR EACH ROW
+  EXECUTE FUNCTION check_item_trash_permission();
+
+-- ============================================================================
+-- Budget Settings
+-- ============================================================================
+-- Key/value store for page-wide settings such as the overall budget target.
+-- Values are stored as JSONB so new settings can be added without migrations.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS budget_settings (
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  key TEXT NOT NULL,
+  value JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Settings are keyed per workspace. Older installs keyed them globally by
+-- `key` alone, so drop that primary key when upgrading (safe to re-run).
+ALTER TABLE budget_settings
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE budget_settings DROP CONSTRAINT IF EXISTS budget_settings_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budget_settings_workspace_key ON budget_settings(workspace_id, key);
+
+DROP TRIGGER IF EXISTS update_budget_settings_updated_at ON budget_settings;
+CREATE TRIGGER update_budget_settings_updated_at
+  BEFORE UPDATE ON budget_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- History of changes to the overall budget target
+CREATE TABLE IF NOT EXISTS budget_history (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  previous_amount NUMERIC(10, 2),
+  new_amount NUMERIC(10, 2) NOT NULL,
+  reason TEXT,
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE budget_history
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_budget_history_changed_at ON budget_history(changed_at);
+
+ALTER TABLE budget_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE budget_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON budget_settings
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON budget_settings
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON budget_settings
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+-- History rows are append-only: no update or delete policies
+CREATE POLICY "Workspace members can read"
+  ON budget_history
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON budget_history
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+-- ============================================================================
+-- Category Allocations
+-- ============================================================================
+-- Planned spend per category. Categories are matched by name against
+-- budget_items.category; a category without a row here has no allocation.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS category_allocations (
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  allocated NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Allocations are keyed per workspace (older installs keyed them by category alone)
+ALTER TABLE category_allocations
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+ALTER TABLE category_allocations DROP CONSTRAINT IF EXISTS category_allocations_pkey;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_category_allocations_workspace_category
+  ON category_allocations(workspace_id, category);
+
+DROP TRIGGER IF EXISTS update_category_allocations_updated_at ON category_allocations;
+CREATE TRIGGER update_category_allocations_updated_at
+  BEFORE UPDATE ON category_allocations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE category_allocations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON category_allocations
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON category_allocations
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON category_allocations
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can delete"
+  ON category_allocations
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- ============================================================================
+-- Category Tax and Fee Rates
+-- ============================================================================
+-- Default tax, service charge and gratuity percentages per category, used for
+-- items that don't set their own. The service charge is taxed along with the
+-- subtotal; gratuity is calculated on the pre-tax subtotal.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS category_rates (
+  workspace_id BIGINT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  tax_rate NUMERIC(5, 2) CHECK (tax_rate >= 0),
+  service_rate NUMERIC(5, 2) CHECK (service_rate >= 0),
+  gratuity_rate NUMERIC(5, 2) CHECK (gratuity_rate >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (workspace_id, category)
+);
+
+DROP TRIGGER IF EXISTS update_category_rates_updated_at ON category_rates;
+CREATE TRIGGER update_category_rates_updated_at
+  BEFORE UPDATE ON category_rates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE category_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON category_rates
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON category_rates
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON category_rates
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can delete"
+  ON category_rates
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- ============================================================================
+-- Payments
+-- ============================================================================
+-- Payments against a budget item. A row with paid_on set has been paid; a row
+-- with only due_on set is a scheduled payment (e.g. a balance deadline).
+-- An item's paid total is the sum of its paid rows; balance due is its cost
+-- minus that sum.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS payments (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  item_id BIGINT NOT NULL REFERENCES budget_items(id) ON DELETE CASCADE,
+  amount NUMERIC(10, 2) NOT NULL,
+  paid_on DATE,
+  due_on DATE,
+  method TEXT,
+  payment_type TEXT NOT NULL DEFAULT 'deposit'
+    CHECK (payment_type IN ('deposit', 'installment', 'final')),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT payments_has_date CHECK (paid_on IS NOT NULL OR due_on IS NOT NULL)
+);
+
+-- Upgrade payments tables created before due dates were added (safe to re-run)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS due_on DATE;
+ALTER TABLE payments ALTER COLUMN paid_on DROP NOT NULL;
+ALTER TABLE payments ALTER COLUMN paid_on DROP DEFAULT;
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'payments_has_date') THEN
+    ALTER TABLE payments
+      ADD CONSTRAINT payments_has_date CHECK (paid_on IS NOT NULL OR due_on IS NOT NULL);
+  END IF;
+END $$;
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_payments_item_id ON payments(item_id);
+CREATE INDEX IF NOT EXISTS idx_payments_due_on ON payments(due_on) WHERE paid_on IS NULL;
+
+DROP TRIGGER IF EXISTS update_payments_updated_at ON payments;
+CREATE TRIGGER update_payments_updated_at
+  BEFORE UPDATE ON payments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- A payment always belongs to its item's workspace
+CREATE OR REPLACE FUNCTION set_payment_workspace()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT workspace_id INTO NEW.workspace_id FROM budget_items WHERE id = NEW.item_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_payment_workspace ON payments;
+CREATE TRIGGER set_payment_workspace
+  BEFORE INSERT OR UPDATE OF item_id ON payments
+  FOR EACH ROW
+  EXECUTE FUNCTION set_payment_workspace();
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON payments
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON payments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON payments
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace owners can delete"
+  ON payments
+  FOR DELETE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id));
+
+-- ============================================================================
+-- Vendors
+-- ============================================================================
+-- Vendor directory. Budget items link to a vendor through
+-- budget_items.vendor_id; deleting a vendor unlinks its items.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS vendors (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  contact_person TEXT,
+  phone TEXT,
+  email TEXT,
+  website TEXT,
+  contract_status TEXT NOT NULL DEFAULT 'none'
+    CHECK (contract_status IN ('none', 'negotiating', 'sent', 'signed', 'cancelled')),
+  notes TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE vendors
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+
+ALTER TABLE budget_items
+  ADD COLUMN IF NOT EXISTS vendor_id BIGINT REFERENCES vendors(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_budget_items_vendor_id ON budget_items(vendor_id);
+
+DROP TRIGGER IF EXISTS update_vendors_updated_at ON vendors;
+CREATE TRIGGER update_vendors_updated_at
+  BEFORE UPDATE ON vendors
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- An item can only link to a vendor from its own workspace. Runs as the
+-- definer so a vendor hidden by RLS still counts as a mismatch.
+CREATE OR REPLACE FUNCTION check_item_vendor_workspace()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.vendor_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM vendors
+    WHERE id = NEW.vendor_id AND workspace_id IS NOT DISTINCT FROM NEW.workspace_id
+  ) THEN
+    RAISE EXCEPTION 'Vendor % is not in this workspace', NEW.vendor_id;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS check_item_vendor_workspace ON budget_items;
+CREATE TRIGGER check_item_vendor_workspace
+  BEFORE INSERT OR UPDATE OF vendor_id, workspace_id ON budget_items
+  FOR EACH ROW
+  EXECUTE FUNCTION check_item_vendor_workspace();
+
+ALTER TABLE vendors ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON vendors
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON vendors
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON vendors
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace owners can delete"
+  ON vendors
+  FOR DELETE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id));
+
+-- ============================================================================
+-- Item Audit Log
+-- ============================================================================
+-- Every create, update and delete on budget_items is recorded by a trigger, so
+-- edits made from any page (or directly in the Table Editor) are captured.
+-- Updates produce one row per changed column with its old and new value.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS item_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  item_id BIGINT NOT NULL,            -- no FK: history outlives deleted items
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+  field TEXT,                         -- NULL for create/delete (whole row)
+  old_value JSONB,
+  new_value JSONB,
+  changed_by UUID DEFAULT auth.uid(), -- NULL for anonymous edits
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE item_audit_log
+  ADD COLUMN IF NOT EXISTS workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_item_audit_log_item_id ON item_audit_log(item_id, changed_at);
+
+CREATE OR REPLACE FUNCTION log_budget_item_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+  old_row JSONB;
+  new_row JSONB;
+  col TEXT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO item_audit_log (item_id, workspace_id, action, new_value)
+    VALUES (NEW.id, NEW.workspace_id, 'create', to_jsonb(NEW));
+    RETURN NEW;
+  ELSIF TG_OP = 'DELETE' THEN
+    INSERT INTO item_audit_log (item_id, workspace_id, action, old_value)
+    VALUES (OLD.id, OLD.workspace_id, 'delete', to_jsonb(OLD));
+    RETURN OLD;
+  END IF;
+
+  old_row := to_jsonb(OLD);
+  new_row := to_jsonb(NEW);
+
+  FOR col IN SELECT jsonb_object_keys(new_row) LOOP
+    IF col NOT IN ('created_at', 'updated_at', 'position', 'workspace_id')
+       AND old_row -> col IS DISTINCT FROM new_row -> col THEN
+      INSERT INTO item_audit_log (item_id, workspace_id, action, field, old_value, new_value)
+      VALUES (NEW.id, NEW.workspace_id, 'update', col, old_row -> col, new_row -> col);
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS log_budget_items_changes ON budget_items;
+CREATE TRIGGER log_budget_items_changes
+  AFTER INSERT OR UPDATE OR DELETE ON budget_items
+  FOR EACH ROW
+  EXECUTE FUNCTION log_budget_item_changes();
+
+ALTER TABLE item_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for clients: rows are written by the trigger only
+CREATE POLICY "Workspace members can read"
+  ON item_audit_log
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+-- ============================================================================
+-- Budget Scenarios
+-- ============================================================================
+-- Named "what if" plans compared against the baseline budget. A scenario
+-- overrides the unit cost, quantity or inclusion of selected items; items
+-- without an override keep their baseline values. budget_items is never
+-- changed by a scenario.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS budget_scenarios (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_scenarios_workspace_id ON budget_scenarios(workspace_id);
+
+DROP TRIGGER IF EXISTS update_budget_scenarios_updated_at ON budget_scenarios;
+CREATE TRIGGER update_budget_scenarios_updated_at
+  BEFORE UPDATE ON budget_scenarios
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- NULL unit_cost / quantity keep the item's baseline value
+CREATE TABLE IF NOT EXISTS scenario_overrides (
+  id BIGSERIAL PRIMARY KEY,
+  scenario_id BIGINT NOT NULL REFERENCES budget_scenarios(id) ON DELETE CASCADE,
+  item_id BIGINT NOT NULL REFERENCES budget_items(id) ON DELETE CASCADE,
+  workspace_id BIGINT REFERENCES workspaces(id) ON DELETE CASCADE,
+  unit_cost NUMERIC(10, 2),
+  quantity NUMERIC(10, 2),
+  excluded BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (scenario_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scenario_overrides_workspace_id ON scenario_overrides(workspace_id);
+
+DROP TRIGGER IF EXISTS update_scenario_overrides_updated_at ON scenario_overrides;
+CREATE TRIGGER update_scenario_overrides_updated_at
+  BEFORE UPDATE ON scenario_overrides
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- An override belongs to its scenario's workspace, and its item must too
+CREATE OR REPLACE FUNCTION set_scenario_override_workspace()
+RETURNS TRIGGER AS $$
+BEGIN
+  SELECT workspace_id INTO NEW.workspace_id FROM budget_scenarios WHERE id = NEW.scenario_id;
+  IF NOT EXISTS (
+    SELECT 1 FROM budget_items WHERE id = NEW.item_id AND workspace_id = NEW.workspace_id
+  ) THEN
+    RAISE EXCEPTION 'Scenario and item belong to different workspaces';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_scenario_override_workspace ON scenario_overrides;
+CREATE TRIGGER set_scenario_override_workspace
+  BEFORE INSERT OR UPDATE OF scenario_id, item_id ON scenario_overrides
+  FOR EACH ROW
+  EXECUTE FUNCTION set_scenario_override_workspace();
+
+ALTER TABLE budget_scenarios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scenario_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON budget_scenarios
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON budget_scenarios
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON budget_scenarios
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace owners can delete"
+  ON budget_scenarios
+  FOR DELETE
+  TO authenticated
+  USING (is_workspace_owner(workspace_id));
+
+CREATE POLICY "Workspace members can read"
+  ON scenario_overrides
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON scenario_overrides
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON scenario_overrides
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+-- Removing an override resets the item to baseline, which is an edit
+CREATE POLICY "Workspace editors can delete"
+  ON scenario_overrides
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- ============================================================================
+-- Saved Views
+-- ============================================================================
+-- Named filter and sort combinations for the list page, shared by everyone in
+-- the workspace. definition is the page's filter state: { search, category,
+-- vendor, requiredOnly, match, conditions, sort }.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS saved_views (
+  id BIGSERIAL PRIMARY KEY,
+  workspace_id BIGINT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  definition JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_workspace_id ON saved_views(workspace_id);
+
+DROP TRIGGER IF EXISTS update_saved_views_updated_at ON saved_views;
+CREATE TRIGGER update_saved_views_updated_at
+  BEFORE UPDATE ON saved_views
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Workspace members can read"
+  ON saved_views
+  FOR SELECT
+  TO authenticated
+  USING (is_workspace_member(workspace_id));
+
+CREATE POLICY "Workspace editors can insert"
+  ON saved_views
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can update"
+  ON saved_views
+  FOR UPDATE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id))
+  WITH CHECK (can_edit_workspace(workspace_id));
+
+CREATE POLICY "Workspace editors can delete"
+  ON saved_views
+  FOR DELETE
+  TO authenticated
+  USING (can_edit_workspace(workspace_id));
+
+-- ============================================================================
+-- Realtime
+-- ============================================================================
+-- The list page subscribes to budget_items changes so several people can edit
+-- at once. Supabase only broadcasts tables in the supabase_realtime publication.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'budget_items'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE budget_items;
+  END IF;
+END $$;
 
 -- ============================================================================
 -- Verification Queries